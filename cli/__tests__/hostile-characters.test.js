@@ -0,0 +1,151 @@
+/**
+ * Generates widget-configs/test-hostile-characters.json with `--dry-run --json` and checks that
+ * every config text survives the widget XML and TSX unchanged and without breaking either.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { toJsString } from '../escape.js';
+import { findChild, findChildren, findDescendants, parseXml } from '../xml.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const configPath = path.join(root, 'widget-configs', 'test-hostile-characters.json');
+
+function runDryRun() {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      [
+        path.join(root, 'cli', 'index.js'),
+        '-c',
+        configPath,
+        '-o',
+        path.join(os.tmpdir(), 'hostile-characters'),
+        '--dry-run',
+        '--json',
+      ],
+      { env: { ...process.env, NO_COLOR: '1' } },
+      (error, stdout) => {
+        const summary = stdout.trim().split('\n').pop();
+        if (error) {
+          reject(new Error(`Generation failed: ${summary || error.message}`));
+        } else {
+          resolve(JSON.parse(summary));
+        }
+      }
+    );
+  });
+}
+
+// Removes string and template literals and comments, leaving the code around them
+function stripLiterals(source) {
+  return source.replace(/"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`|\/\/.*$/gm, '');
+}
+
+describe('test-hostile-characters.json', () => {
+  let config;
+  let files;
+
+  before(async () => {
+    config = await fs.readJson(configPath);
+    const summary = await runDryRun();
+    assert.equal(summary.ok, true, summary.errors.join('\n'));
+    files = new Map(summary.files.map((file) => [file.path, file.content]));
+  });
+
+  it('writes well-formed widget and package XML', () => {
+    for (const file of ['src/HostileCharacters.xml', 'src/package.xml']) {
+      const source = files.get(file);
+      assert.doesNotThrow(() => parseXml(source), file);
+      assert.doesNotMatch(source, /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i, file);
+      for (const [, value] of source.matchAll(/=\s*"([^"]*)"/g)) {
+        assert.ok(!value.includes('<'), `${file}: unescaped < in attribute "${value}"`);
+      }
+    }
+  });
+
+  it('keeps every config text in the widget XML', () => {
+    const widget = parseXml(files.get('src/HostileCharacters.xml'));
+    assert.equal(findChild(widget, 'name').text, config.displayName);
+    assert.equal(findChild(widget, 'description').text, config.description);
+
+    const elements = new Map(
+      findDescendants(widget, 'property').map((element) => [element.attributes.key, element])
+    );
+    for (const prop of [...config.properties, ...config.events]) {
+      const element = elements.get(prop.key);
+      assert.ok(element, `property ${prop.key}`);
+      assert.equal(findChild(element, 'caption').text, prop.caption);
+      assert.equal(findChild(element, 'description').text, prop.description);
+      if (prop.defaultValue !== undefined) {
+        assert.equal(element.attributes.defaultValue, prop.defaultValue);
+      }
+      for (const option of prop.options || []) {
+        const value = findChildren(
+          findChild(element, 'enumerationValues'),
+          'enumerationValue'
+        ).find((e) => e.attributes.key === option.key);
+        assert.equal(value.text, option.caption);
+      }
+      for (const variable of prop.actionVariables || []) {
+        const value = findDescendants(element, 'actionVariable').find(
+          (e) => e.attributes.key === variable.key
+        );
+        assert.equal(value.attributes.caption, variable.caption);
+      }
+    }
+
+    const groups = findDescendants(widget, 'propertyGroup').map((g) => g.attributes.caption);
+    for (const group of config.propertyGroups) {
+      assert.ok(groups.includes(group.caption), group.caption);
+      for (const section of group.sections || []) {
+        assert.ok(groups.includes(section.caption), section.caption);
+      }
+    }
+  });
+
+  it('emits config texts in TSX only as string literals', () => {
+    // Texts with characters that would break JSX or a string if they were pasted in raw
+    const texts = [
+      ...config.properties.flatMap((p) => [
+        p.caption,
+        p.description,
+        p.defaultValue,
+        ...(p.options || []).map((o) => o.caption),
+      ]),
+      ...config.events.map((e) => e.caption),
+    ].filter((text) => typeof text === 'string' && /[<>&"'{}`\\\n\u2028]/.test(text));
+
+    for (const file of [
+      'src/HostileCharacters.tsx',
+      'src/HostileCharacters.editorPreview.tsx',
+      'src/__tests__/HostileCharacters.spec.tsx',
+    ]) {
+      const code = stripLiterals(files.get(file));
+      for (const text of texts) {
+        assert.ok(!code.includes(text), `${file}: "${text}" outside a string literal`);
+      }
+      for (const [open, close] of [
+        ['{', '}'],
+        ['(', ')'],
+      ]) {
+        assert.equal(code.split(open).length, code.split(close).length, `${file}: ${open}${close}`);
+      }
+    }
+
+    assert.ok(
+      files.get('src/HostileCharacters.tsx').includes(toJsString(config.properties[4].caption))
+    );
+    for (const option of config.properties[2].options) {
+      assert.ok(
+        files.get('src/HostileCharacters.editorPreview.tsx').includes(toJsString(option.caption)),
+        option.caption
+      );
+    }
+  });
+});
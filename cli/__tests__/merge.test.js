@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeThreeWay } from '../merge.js';
+
+const lines = (...values) => values.join('\n');
+
+describe('mergeThreeWay', () => {
+  const base = lines('a', 'b', 'c', 'd', 'e');
+
+  it('returns the base when neither side changed', () => {
+    assert.deepEqual(mergeThreeWay(base, base, base), { content: base, conflicts: 0 });
+  });
+
+  it('takes a change made on one side only', () => {
+    const ours = lines('a', 'B', 'c', 'd', 'e');
+    assert.deepEqual(mergeThreeWay(base, ours, base), { content: ours, conflicts: 0 });
+    assert.deepEqual(mergeThreeWay(base, base, ours), { content: ours, conflicts: 0 });
+  });
+
+  it('combines changes to different regions', () => {
+    const ours = lines('a', 'B', 'c', 'd', 'e');
+    const theirs = lines('a', 'b', 'c', 'd', 'E', 'f');
+    assert.deepEqual(mergeThreeWay(base, ours, theirs), {
+      content: lines('a', 'B', 'c', 'd', 'E', 'f'),
+      conflicts: 0,
+    });
+  });
+
+  it('keeps insertions and deletions from both sides', () => {
+    const ours = lines('a', 'inserted', 'b', 'c', 'd', 'e');
+    const theirs = lines('a', 'b', 'c', 'e');
+    assert.equal(mergeThreeWay(base, ours, theirs).content, lines('a', 'inserted', 'b', 'c', 'e'));
+  });
+
+  it('accepts the same change made on both sides', () => {
+    const both = lines('a', 'b', 'C', 'd', 'e');
+    assert.deepEqual(mergeThreeWay(base, both, both), { content: both, conflicts: 0 });
+  });
+
+  it('marks different changes to the same lines as a conflict', () => {
+    const ours = lines('a', 'b', 'mine', 'd', 'e');
+    const theirs = lines('a', 'b', 'generated', 'd', 'e');
+    const { content, conflicts } = mergeThreeWay(base, ours, theirs, {
+      ours: 'yours',
+      theirs: 'generator',
+    });
+    assert.equal(conflicts, 1);
+    assert.equal(
+      content,
+      lines(
+        'a',
+        'b',
+        '<<<<<<< yours',
+        'mine',
+        '=======',
+        'generated',
+        '>>>>>>> generator',
+        'd',
+        'e'
+      )
+    );
+  });
+
+  it('counts each conflicting region once', () => {
+    const ours = lines('A1', 'b', 'c', 'd', 'E1');
+    const theirs = lines('A2', 'b', 'c', 'd', 'E2');
+    const { content, conflicts } = mergeThreeWay(base, ours, theirs);
+    assert.equal(conflicts, 2);
+    assert.match(content, /^<<<<<<< ours\nA1\n=======\nA2\n>>>>>>> theirs\nb\nc\nd\n<<<<<<< ours/);
+  });
+});
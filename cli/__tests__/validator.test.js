@@ -0,0 +1,191 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig, validateProperty } from '../validator.js';
+
+function config(overrides = {}) {
+  return {
+    name: 'Demo',
+    displayName: 'Demo',
+    description: 'A demo widget',
+    category: 'Display',
+    properties: [
+      { key: 'items', type: 'datasource', caption: 'Items', isList: true },
+      { key: 'title', type: 'textTemplate', caption: 'Title', dataSource: 'items' },
+      {
+        key: 'mode',
+        type: 'enumeration',
+        caption: 'Mode',
+        options: [
+          { key: 'a', caption: 'A' },
+          { key: 'b', caption: 'B' },
+        ],
+      },
+    ],
+    events: [{ key: 'onClick', caption: 'On click' }],
+    ...overrides,
+  };
+}
+
+describe('validateConfig', () => {
+  it('accepts a valid flat config', () => {
+    assert.deepEqual(validateConfig(config()), []);
+  });
+
+  it('accepts a nested config and qualifies its errors with widget.', () => {
+    const { name, displayName, description, category, ...rest } = config();
+    assert.deepEqual(
+      validateConfig({ widget: { name, displayName, description, category }, ...rest }),
+      []
+    );
+    assert.deepEqual(
+      validateConfig({ widget: { name: 'demo', displayName, description, category }, ...rest }),
+      ['widget.name must be PascalCase (e.g. StatusBadge)']
+    );
+  });
+
+  it('rejects anything but an object', () => {
+    assert.deepEqual(validateConfig([]), ['config must be a JSON object']);
+  });
+
+  it('reports missing fields and pattern mismatches with their path', () => {
+    const errors = validateConfig({
+      name: 'Demo',
+      displayName: 'Demo',
+      properties: [{ key: 'Label', type: 'string', caption: 'Label' }],
+    });
+    assert.ok(errors.includes('description is required'));
+    assert.ok(errors.includes('category is required'));
+    assert.ok(errors.includes('properties[0].key must be camelCase (e.g. labelText)'));
+  });
+
+  it('reports duplicate keys and event/property clashes', () => {
+    const errors = validateConfig(
+      config({
+        properties: [
+          { key: 'label', type: 'string', caption: 'Label' },
+          { key: 'label', type: 'string', caption: 'Again' },
+          { key: 'onClick', type: 'string', caption: 'Click' },
+        ],
+      })
+    );
+    assert.ok(errors.includes('properties[1].key "label" duplicates the key at properties[0]'));
+    assert.ok(
+      errors.includes('events[0].key "onClick" clashes with property key at properties[2]')
+    );
+  });
+
+  it('rejects keys reserved by Mendix or used by the generated component', () => {
+    const errors = validateConfig(
+      config({
+        properties: [
+          { key: 'style', type: 'string', caption: 'Style' },
+          { key: 'items', type: 'datasource', caption: 'Items', isList: true },
+          { key: 'item', type: 'attribute', caption: 'Item', dataSource: 'items' },
+          { key: 'handleClick', type: 'string', caption: 'Handler' },
+        ],
+      })
+    );
+    assert.ok(errors.some((e) => e.startsWith('properties[0].key "style" is reserved by Mendix')));
+    assert.ok(
+      errors.includes('properties[2].key "item" is a name the generated component uses itself')
+    );
+    assert.ok(
+      errors.includes(
+        'properties[3].key "handleClick" clashes with the handler generated for events[0]'
+      )
+    );
+  });
+
+  it('checks dataSource, onChange and selectableObjects references', () => {
+    const errors = validateConfig(
+      config({
+        properties: [
+          { key: 'items', type: 'datasource', caption: 'Items', isList: true },
+          { key: 'title', type: 'textTemplate', caption: 'Title', dataSource: 'rows' },
+          { key: 'label', type: 'string', caption: 'Label', dataSource: 'items' },
+          { key: 'value', type: 'attribute', caption: 'Value', onChange: 'onSave' },
+          { key: 'picked', type: 'selection', caption: 'Picked' },
+        ],
+      })
+    );
+    assert.ok(
+      errors.includes(
+        'properties[1].dataSource "rows" does not match any datasource property (available: items)'
+      )
+    );
+    assert.ok(errors.includes('properties[2].dataSource is not supported for string properties'));
+    assert.ok(
+      errors.includes('properties[3].onChange "onSave" does not match any action property or event')
+    );
+    assert.ok(errors.includes('properties[4].dataSource is required for selection properties'));
+  });
+
+  it('checks visibleWhen rules against the property they compare', () => {
+    const errors = validateConfig(
+      config({
+        properties: [
+          {
+            key: 'mode',
+            type: 'enumeration',
+            caption: 'Mode',
+            options: [
+              { key: 'a', caption: 'A' },
+              { key: 'b', caption: 'B' },
+            ],
+          },
+          {
+            key: 'note',
+            type: 'string',
+            caption: 'Note',
+            visibleWhen: { key: 'mode', equals: 'c' },
+          },
+          { key: 'other', type: 'string', caption: 'Other', visibleWhen: { key: 'missing' } },
+        ],
+      })
+    );
+    assert.ok(
+      errors.includes('properties[1].visibleWhen.equals must be one of the options of "mode": a, b')
+    );
+    assert.ok(
+      errors.includes('properties[2].visibleWhen.key "missing" does not match any property')
+    );
+  });
+});
+
+describe('validateProperty', () => {
+  const existing = [
+    { key: 'items', type: 'datasource' },
+    { key: 'onClick', type: 'action' },
+  ];
+
+  it('accepts a new property that fits the widget', () => {
+    assert.deepEqual(
+      validateProperty(
+        { key: 'title', type: 'textTemplate', caption: 'Title', dataSource: 'items' },
+        { existing }
+      ),
+      []
+    );
+  });
+
+  it('rejects keys the widget already has or generates', () => {
+    assert.deepEqual(
+      validateProperty({ key: 'items', type: 'string', caption: 'Items' }, { existing }),
+      ['key "items" is already used by another property or event']
+    );
+    assert.deepEqual(
+      validateProperty({ key: 'handleClick', type: 'string', caption: 'Handler' }, { existing }),
+      ['key "handleClick" clashes with the handler generated for "onClick"']
+    );
+  });
+
+  it('validates events against the event schema', () => {
+    assert.deepEqual(
+      validateProperty({ key: 'onHover', caption: 'On hover' }, { isEvent: true }),
+      []
+    );
+    assert.deepEqual(validateProperty({ key: 'hover', caption: 'On hover' }, { isEvent: true }), [
+      "key must start with 'on' followed by a capital letter (e.g. onClick)",
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, findChild, findChildren, findDescendants, parseXml } from '../xml.js';
+
+const widgetXml = `<?xml version="1.0" encoding="utf-8"?>
+<!-- Generated -->
+<widget id="test.demo.Demo" pluginWidget="true" xmlns="http://www.mendix.com/widget/1.0/">
+    <name>Demo &amp; friends</name>
+    <properties>
+        <propertyGroup caption="General">
+            <property key="label" type="string" defaultValue="&quot;Hi&quot; &lt;you&gt;">
+                <caption>Label</caption>
+            </property>
+            <property key="items" type="datasource" isList='true'>
+                <caption><![CDATA[Items <raw>]]></caption>
+            </property>
+        </propertyGroup>
+        <propertyGroup caption="Common">
+            <systemProperty key="Name" />
+        </propertyGroup>
+    </properties>
+</widget>
+`;
+
+describe('parseXml', () => {
+  it('builds the element tree with decoded attributes and text', () => {
+    const root = parseXml(widgetXml);
+    assert.equal(root.name, 'widget');
+    assert.equal(root.attributes.id, 'test.demo.Demo');
+    assert.equal(findChild(root, 'name').text, 'Demo & friends');
+
+    const properties = findDescendants(root, 'property');
+    assert.deepEqual(
+      properties.map((p) => p.attributes.key),
+      ['label', 'items']
+    );
+    assert.equal(properties[0].attributes.defaultValue, '"Hi" <you>');
+    assert.equal(properties[1].attributes.isList, 'true');
+    assert.equal(findChild(properties[1], 'caption').text, 'Items <raw>');
+  });
+
+  it('finds direct children only with findChild / findChildren', () => {
+    const root = parseXml(widgetXml);
+    const properties = findChild(root, 'properties');
+    assert.equal(findChild(root, 'property'), undefined);
+    assert.deepEqual(
+      findChildren(properties, 'propertyGroup').map((g) => g.attributes.caption),
+      ['General', 'Common']
+    );
+    assert.deepEqual(findChildren(undefined, 'property'), []);
+  });
+
+  it('keeps source offsets so elements can be patched in place', () => {
+    const [label] = findDescendants(parseXml(widgetXml), 'property');
+    const element = widgetXml.slice(label.start, label.end);
+    assert.match(element, /^<property key="label"[\s\S]*<\/property>$/);
+
+    const patched =
+      widgetXml.slice(0, label.start) + '<property key="x" />' + widgetXml.slice(label.end);
+    assert.deepEqual(
+      findDescendants(parseXml(patched), 'property').map((p) => p.attributes.key),
+      ['x', 'items']
+    );
+
+    const selfClosing = findDescendants(parseXml(widgetXml), 'systemProperty')[0];
+    assert.equal(
+      widgetXml.slice(selfClosing.start, selfClosing.end),
+      '<systemProperty key="Name" />'
+    );
+  });
+
+  it('reports malformed documents with their line number', () => {
+    assert.throws(() => parseXml('<a>\n<b>\n</a>'), /Unexpected closing tag <\/a> \(line 3\)/);
+    assert.throws(() => parseXml('<a>\n<b></b>'), /Missing closing tag for <a>/);
+    assert.throws(() => parseXml('<a/><b/>'), /more than one root element/);
+    assert.throws(() => parseXml('text <a/>'), /Text outside the root element \(line 1\)/);
+    assert.throws(() => parseXml('<!-- only a comment -->'), /Document has no root element/);
+  });
+});
+
+describe('decodeEntities', () => {
+  it('decodes predefined entities and character references', () => {
+    assert.equal(decodeEntities('&lt;&gt;&amp;&quot;&apos;'), '<>&"\'');
+    assert.equal(decodeEntities('&#10;&#x1F389;'), '\n🎉');
+  });
+
+  it('leaves unknown entities alone', () => {
+    assert.equal(decodeEntities('&nbsp; &amp;amp;'), '&nbsp; &amp;');
+  });
+});
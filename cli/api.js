@@ -0,0 +1,14 @@
+/**
+ * Programmatic API
+ * Entry point for `import { generateWidget } from 'create-mendix-widget'`. Nothing here prints
+ * or exits the process; results and problems are returned to the caller.
+ */
+
+export { generateWidget } from './generator.js';
+export { exportTranslations, importTranslations } from './i18n.js';
+export { importWidget } from './import.js';
+export { inspectWidgetProject } from './inspect.js';
+export { createLogger } from './logger.js';
+export { addProperty, removeProperty } from './properties.js';
+export { getTemplate, TEMPLATES } from './templates.js';
+export { validateConfig, validateProperty } from './validator.js';
@@ -0,0 +1,213 @@
+/**
+ * Console Presenter
+ * Renders generateWidget progress for the CLI, either with ora spinners and chalk (pretty
+ * reporter) or as newline-delimited JSON events (json reporter), prints the result and turns
+ * errors into a non-zero exit code.
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import ora from 'ora';
+import path from 'path';
+import { formatDiagnostic } from './diagnostics.js';
+import { generateWidget } from './generator.js';
+import { printFilePlan } from './plan.js';
+import { printUpdateReport } from './update.js';
+
+// Diagnostics listed after a failed build; the rest is in .cmw/build.log
+const MAX_DIAGNOSTICS = 10;
+// Output lines shown when a failed step printed nothing that could be parsed
+const TAIL_LINES = 15;
+
+/**
+ * Logger that shows one spinner per step. Validation has no spinner; its errors are listed
+ * once generation returns.
+ * @returns {import('./logger.js').Logger}
+ */
+export function createConsoleLogger() {
+  let spinner = null;
+
+  return {
+    warn(message) {
+      console.log(chalk.yellow(`⚠️  ${message}`));
+    },
+
+    stepStarted(step, message) {
+      if (step !== 'validate') {
+        spinner = ora(message).start();
+      }
+    },
+
+    stepProgress(_step, message) {
+      if (spinner) {
+        spinner.text = message;
+      }
+    },
+
+    stepFinished(step, outcome) {
+      if (!spinner) {
+        return;
+      }
+      if (outcome.ok) {
+        spinner.succeed(outcome.message);
+      } else {
+        spinner.fail(outcome.message);
+      }
+      spinner = null;
+
+      if (!outcome.ok && (step === 'install' || step === 'build')) {
+        printFailure(outcome);
+      }
+
+      if (step === 'build' && outcome.mpkPath) {
+        const mpkSize = fs.statSync(outcome.mpkPath).size / 1024;
+        console.log(
+          chalk.green(
+            `  ✅ MPK created: ${path.basename(outcome.mpkPath)} (${mpkSize.toFixed(1)} KB)`
+          )
+        );
+      }
+    },
+  };
+}
+
+// Concise summary of a failed install or build: parsed diagnostics, else the end of stderr
+function printFailure({ stderr = '', diagnostics = [], logPath }) {
+  const errors = diagnostics.filter((d) => d.severity === 'error');
+  const shown = errors.length > 0 ? errors : diagnostics;
+
+  if (shown.length > 0) {
+    shown
+      .slice(0, MAX_DIAGNOSTICS)
+      .forEach((d) => console.log(chalk.red(`  ${formatDiagnostic(d)}`)));
+    if (shown.length > MAX_DIAGNOSTICS) {
+      console.log(chalk.gray(`  ...and ${shown.length - MAX_DIAGNOSTICS} more`));
+    }
+  } else if (stderr.trim()) {
+    stderr
+      .trimEnd()
+      .split(/\r?\n/)
+      .slice(-TAIL_LINES)
+      .forEach((line) => console.log(chalk.gray(`  ${line}`)));
+  }
+  if (logPath) {
+    console.log(chalk.gray(`  Full log: ${logPath}`));
+  }
+}
+
+/**
+ * Logger for `--reporter json`: one JSON object per line on stdout, in the order things happen.
+ * Events: step (started / finished, with captured stderr and the log path for install and
+ * build, plus parsed diagnostics for build), warning, file, mpk and deploy. The run ends with
+ * a summary event (see printJsonSummary).
+ * @returns {import('./logger.js').Logger}
+ */
+export function createJsonLogger() {
+  return {
+    warn(message) {
+      emit({ event: 'warning', message });
+    },
+
+    stepStarted(step, message) {
+      emit({ event: 'step', step, status: 'started', message });
+    },
+
+    stepFinished(step, { ok, message, stderr, logPath, diagnostics, mpkPath, deployedTo }) {
+      emit({ event: 'step', step, status: 'finished', ok, message, stderr, logPath, diagnostics });
+      if (mpkPath) {
+        emit({ event: 'mpk', path: mpkPath, size: fs.statSync(mpkPath).size });
+      }
+      if (deployedTo) {
+        emit({ event: 'deploy', target: deployedTo });
+      }
+    },
+
+    fileWritten({ path: file, size, status }) {
+      emit({ event: 'file', path: file, size, status });
+    },
+  };
+}
+
+/**
+ * Ends a json-reporter run with `{ event: "summary", ok, name, widgets, outputDir, files,
+ * mpkPath, diagnostics, buildLog, deployedTo, warnings, errors }`. Dry runs include each
+ * planned file's content.
+ */
+export function printJsonSummary(result) {
+  const { displayName, update, ...summary } = result;
+  emit({ event: 'summary', ...summary, conflicts: update?.conflicts });
+}
+
+function emit(event) {
+  process.stdout.write(`${JSON.stringify(event)}\n`);
+}
+
+/**
+ * Generates a widget for the CLI: progress on the console, the dry-run plan or update report,
+ * then next steps. With `reporter: 'json'` every line on stdout is a JSON event instead.
+ * Exits with code 1 when generation reports errors.
+ */
+export async function generateFromConfig(config, options = {}) {
+  if (options.reporter === 'json') {
+    const result = await generateWidget(config, { ...options, logger: createJsonLogger() });
+    printJsonSummary(result);
+    if (!result.ok) {
+      process.exit(1);
+    }
+    return result;
+  }
+
+  console.log('');
+  const result = await generateWidget(config, { ...options, logger: createConsoleLogger() });
+
+  if (!result.name) {
+    // Nothing was generated: the config could not be read or is invalid
+    console.log(chalk.red(`\n❌ Invalid widget config (${result.errors.length} problem(s)):\n`));
+    result.errors.forEach((error) => console.log(chalk.red(`   • ${error}`)));
+    console.log('');
+    process.exit(1);
+  }
+
+  if (result.dryRun && result.ok) {
+    printFilePlan(result.files, result.outputDir, `src/${result.widgets[0]}.xml`);
+    return result;
+  }
+
+  if (result.update) {
+    printUpdateReport(result.update);
+  }
+
+  if (!result.ok) {
+    result.errors.forEach((error) => console.error(chalk.red(error)));
+    process.exit(1);
+  }
+
+  // Success message
+  console.log('');
+  console.log(
+    chalk.green.bold('╔═══════════════════════════════════════════════════════════════════╗')
+  );
+  console.log(
+    chalk.green.bold('║  ✅ WIDGET READY!                                                 ║')
+  );
+  console.log(
+    chalk.green.bold('╚═══════════════════════════════════════════════════════════════════╝')
+  );
+  console.log('');
+  console.log(chalk.white('  Next steps:'));
+  console.log(
+    chalk.gray(
+      `  1. Copy the .mpk from ${result.name.toLowerCase()}/dist/ to your Mendix project widgets folder`
+    )
+  );
+  console.log(chalk.gray('  2. Open Studio Pro and press F4 to refresh'));
+  const toolbox =
+    result.widgets.length > 1
+      ? result.widgets.map((widget) => `"${widget}"`).join(', ')
+      : `"${result.displayName}"`;
+  console.log(chalk.gray(`  3. Find ${toolbox} in the toolbox`));
+  console.log('');
+  return result;
+}
+
+export default { createConsoleLogger, createJsonLogger, generateFromConfig, printJsonSummary };
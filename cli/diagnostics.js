@@ -0,0 +1,152 @@
+/**
+ * Build Diagnostics
+ * Turns the captured output of `npm install` / `npm run build` into file/line/message records
+ * and keeps the full output in {widget}/.cmw/build.log, so a failed build explains itself.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const BUILD_LOG = path.join('.cmw', 'build.log');
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {'typescript'|'rollup'} tool
+ * @property {'error'|'warning'} severity
+ * @property {string|null} file - Relative to the widget folder when the tool printed an absolute
+ *   path
+ * @property {number|null} line
+ * @property {number|null} column
+ * @property {string|null} code - TypeScript code such as TS2304
+ * @property {string} message
+ */
+
+// file.tsx(12,5): error TS2304: Cannot find name 'foo'.
+const TS_CLASSIC = /^(.+?)\((\d+),(\d+)\): (error|warning) (TS\d+): (.+)$/;
+// file.tsx:12:5 - error TS2304: Cannot find name 'foo'.  (tsc --pretty)
+const TS_PRETTY = /^(.+?):(\d+):(\d+) - (error|warning) (TS\d+): (.+)$/;
+// [!] (plugin typescript) RollupError: ...  /  (!) Plugin typescript: ...
+const ROLLUP_HEADLINE = /^(\[!\]|\(!\)) (.+)$/;
+// src/Widget.tsx (12:5)  /  src/Widget.tsx: (12:5)
+const ROLLUP_LOCATION = /^(\S[^()]*?):? \((\d+):(\d+)\)$/;
+
+/**
+ * Extracts TypeScript and Rollup diagnostics from build output. Identical records that both
+ * tools report are kept once.
+ * @param {string} output - Captured stdout and stderr
+ * @param {string} [cwd] - Widget folder, used to shorten absolute file paths
+ * @returns {Diagnostic[]}
+ */
+export function parseDiagnostics(output, cwd) {
+  const lines = stripAnsi(output).split(/\r?\n/);
+  const diagnostics = [];
+  const seen = new Set();
+  const add = (diagnostic) => {
+    const record = { ...diagnostic, file: relativeTo(cwd, diagnostic.file) };
+    const id = [record.file, record.line, record.column, record.code, record.message].join('|');
+    if (!seen.has(id)) {
+      seen.add(id);
+      diagnostics.push(record);
+    }
+  };
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    const ts = TS_CLASSIC.exec(line) || TS_PRETTY.exec(line);
+    if (ts) {
+      add({
+        tool: 'typescript',
+        severity: ts[4],
+        file: ts[1],
+        line: Number(ts[2]),
+        column: Number(ts[3]),
+        code: ts[5],
+        message: ts[6],
+      });
+      return;
+    }
+
+    const headline = ROLLUP_HEADLINE.exec(line);
+    if (!headline) {
+      return;
+    }
+    const { code, message } = cleanRollupMessage(headline[2]);
+    const location = ROLLUP_LOCATION.exec(lines[index + 1]?.trim() || '');
+    const unresolved = / from (\S+)$/.exec(message);
+    add({
+      tool: code ? 'typescript' : 'rollup',
+      severity: headline[1] === '[!]' ? 'error' : 'warning',
+      file: location?.[1] || unresolved?.[1] || null,
+      line: location ? Number(location[2]) : null,
+      column: location ? Number(location[3]) : null,
+      code,
+      message,
+    });
+  });
+
+  return diagnostics;
+}
+
+// "(plugin typescript) RollupError: @rollup/plugin-typescript TS2304: Cannot find name 'foo'."
+function cleanRollupMessage(text) {
+  const message = text
+    .replace(/^\(plugin [^)]+\) /, '')
+    .replace(/^Plugin [^:]+: /, '')
+    .replace(/^\w*Error: /, '')
+    .replace(/^@rollup\/plugin-typescript /, '');
+  const code = /^(TS\d+): /.exec(message);
+  return code ? { code: code[1], message: message.slice(code[0].length) } : { code: null, message };
+}
+
+/** Formats a diagnostic as `file:line:column  message (code)` */
+export function formatDiagnostic({ file, line, column, code, message }) {
+  const location = file ? [file, line, column].filter((part) => part != null).join(':') : '';
+  return `${location ? `${location}  ` : ''}${message}${code ? ` (${code})` : ''}`;
+}
+
+/**
+ * Writes the output of every command that ran to .cmw/build.log, replacing the previous log.
+ * @param {string} dir - Widget folder
+ * @param {{ command: string, status: number|null, stdout: string, stderr: string }[]} runs
+ * @returns {Promise<string>} Absolute path of the log
+ */
+export async function writeBuildLog(dir, runs) {
+  const logPath = path.join(dir, BUILD_LOG);
+  const sections = runs.map(({ command, status, stdout, stderr }) =>
+    [
+      `$ ${command}`,
+      `exit code: ${status ?? 'none'}`,
+      '',
+      '--- stdout ---',
+      stdout.trimEnd(),
+      '',
+      '--- stderr ---',
+      stderr.trimEnd(),
+      '',
+    ].join('\n')
+  );
+  await fs.outputFile(logPath, `# ${new Date().toISOString()}\n\n${sections.join('\n')}`);
+
+  // The baseline in .cmw/ is meant to be committed; the log is not
+  const ignore = path.join(dir, '.cmw', '.gitignore');
+  if (!(await fs.pathExists(ignore))) {
+    await fs.outputFile(ignore, 'build.log\n');
+  }
+  return logPath;
+}
+
+const ANSI_COLOR = /\x1b\[[0-9;]*m/g;
+
+function stripAnsi(text) {
+  return text.replace(ANSI_COLOR, '');
+}
+
+function relativeTo(cwd, file) {
+  if (!file || !cwd || !path.isAbsolute(file)) {
+    return file;
+  }
+  const relative = path.relative(cwd, file);
+  return relative.startsWith('..') ? file : relative.split(path.sep).join('/');
+}
+
+export default { parseDiagnostics, formatDiagnostic, writeBuildLog, BUILD_LOG };
@@ -0,0 +1,44 @@
+/**
+ * Escaping helpers for generated files
+ * Every config string that ends up in XML or TSX output goes through one of these.
+ */
+
+const XML_TEXT = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+
+const XML_ATTRIBUTE = {
+  ...XML_TEXT,
+  '"': '&quot;',
+  "'": '&apos;',
+  // Parsers normalize raw whitespace in attributes to spaces, so keep it as character references
+  '\n': '&#10;',
+  '\r': '&#13;',
+  '\t': '&#9;',
+};
+
+/** Escapes a value for use as XML element content */
+export function escapeXmlText(value) {
+  return String(value ?? '').replace(/[&<>]/g, (char) => XML_TEXT[char]);
+}
+
+/** Escapes a value for use inside a double-quoted XML attribute */
+export function escapeXmlAttribute(value) {
+  return String(value ?? '').replace(/[&<>"'\n\r\t]/g, (char) => XML_ATTRIBUTE[char]);
+}
+
+/** Formats a value as a double-quoted JavaScript/TypeScript string literal */
+export function toJsString(value) {
+  return JSON.stringify(String(value ?? '')).replace(
+    /[\u2028\u2029]/g,
+    (char) => `\\u${char.charCodeAt(0).toString(16)}`
+  );
+}
+
+/**
+ * Formats a value as JSX child text. JSX text cannot contain `{`, `}`, `<` or `>` and does
+ * not support backslash escapes, so the value is emitted as a string expression instead.
+ */
+export function toJsxText(value) {
+  return `{${toJsString(value)}}`;
+}
+
+export default { escapeXmlText, escapeXmlAttribute, toJsString, toJsxText };
@@ -1,335 +1,1043 @@
 /**
  * Widget Generator - Core Logic
- * Generates Mendix Pluggable Widget from config
+ * Generates Mendix Pluggable Widget from config, or a widget suite (one package with several
+ * widgets) from a config with a `widgets` list. Console output lives in console.js; this
+ * module only reports through the logger it is given.
  */
 
-import chalk from 'chalk';
-import { execSync } from 'child_process';
 import fs from 'fs-extra';
-import ora from 'ora';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { BUILD_LOG, parseDiagnostics, writeBuildLog } from './diagnostics.js';
+import { escapeXmlAttribute, escapeXmlText, toJsString, toJsxText } from './escape.js';
+import { localizeEvents, localizeProperties, SOURCE_LANGUAGE, sourceText } from './i18n.js';
+import { IMAGE_FIELDS, loadWidgetImages } from './icons.js';
+import { createLogger } from './logger.js';
+import {
+  DEFAULT_DEPENDENCIES,
+  detectMendixVersion,
+  findUnsupportedFeatures,
+  parseMendixVersion,
+  selectDependencies,
+  supportsIconFiles,
+} from './mendixVersion.js';
+import {
+  PACKAGE_MANAGERS,
+  TOOLS_PACKAGE,
+  buildArgs,
+  checkOfflineCache,
+  detectPackageManager,
+  installArgs,
+  offlineCacheError,
+  runPackageManager,
+} from './packageManager.js';
+import { createFilePlan } from './plan.js';
+import { PLATFORMS, getPlatformScripts, toSupportedPlatform } from './platform.js';
+import { applyUpdate, writeBaseline } from './update.js';
+import { validateConfig } from './validator.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export async function generateFromConfig(config, options = {}) {
+/**
+ * @typedef {Object} GenerateResult
+ * @property {boolean} ok - True when `errors` is empty
+ * @property {string} name - Widget name, or the package name of a widget suite
+ * @property {string} displayName
+ * @property {string[]} widgets - Names of the widgets in the package; a suite lists several
+ * @property {string} outputDir - Absolute path of the widget folder
+ * @property {boolean} dryRun
+ * @property {string|null} platform - web, native or both
+ * @property {{ path: string, size: number, status: string, content?: string,
+ *   encoding?: 'base64' }[]} files - Status is planned (dry run, with content; binary files
+ *   such as icons are base64 encoded), written, or the --update outcome per file
+ * @property {Object|null} update - The applyUpdate report for --update runs
+ * @property {string|null} mendixVersion - Mendix version the dependencies were picked for
+ * @property {string|null} packageManager - npm, pnpm or yarn, when install or build ran
+ * @property {string|null} mpkPath - Built MPK, when the build ran
+ * @property {import('./diagnostics.js').Diagnostic[]} diagnostics - TypeScript and Rollup
+ *   errors and warnings found in the build output
+ * @property {string|null} buildLog - .cmw/build.log with the full install and build output
+ * @property {string|null} deployedTo - Mendix widgets folder the MPK was copied to
+ * @property {string[]} warnings
+ * @property {string[]} errors
+ */
+
+/**
+ * Generates a widget and reports progress through `options.logger`. Never prints or exits:
+ * invalid configs and failed steps end up in `errors`.
+ * @param {Object|string} config - Widget config, or the path of a JSON config file
+ * @param {Object} options - `{ output, dryRun, update, install, build, packageManager, offline,
+ *   preferOffline, mendixProjectPath, mendixVersion, platform, icon, logger }`. packageManager
+ *   (npm, pnpm or yarn) defaults to the one whose lockfile is nearest to the widget folder;
+ *   mendixVersion to the version of the Mendix project, when there is one; platform (web,
+ *   native or both) and icon replace the config's platform and icon path
+ * @returns {Promise<GenerateResult>}
+ */
+export async function generateWidget(config, options = {}) {
+  const logger = createLogger(options.logger);
+  const result = {
+    ok: false,
+    name: null,
+    displayName: null,
+    widgets: [],
+    outputDir: null,
+    dryRun: Boolean(options.dryRun),
+    platform: null,
+    files: [],
+    update: null,
+    mendixVersion: null,
+    packageManager: null,
+    mpkPath: null,
+    diagnostics: [],
+    buildLog: null,
+    deployedTo: null,
+    warnings: [],
+    errors: [],
+  };
+  const warn = (message) => {
+    result.warnings.push(message);
+    logger.warn(message);
+  };
+  const finish = () => ({ ...result, ok: result.errors.length === 0 });
+
+  if (options.packageManager && !PACKAGE_MANAGERS.includes(options.packageManager)) {
+    result.errors.push(
+      `Unknown package manager "${options.packageManager}". Use ${PACKAGE_MANAGERS.join(', ')}`
+    );
+    return finish();
+  }
+  if (options.mendixVersion && !parseMendixVersion(options.mendixVersion)) {
+    result.errors.push(
+      `Invalid Mendix version "${options.mendixVersion}". Use major.minor, such as 10.6 or 10.6.3`
+    );
+    return finish();
+  }
+  if (options.platform && !PLATFORMS.includes(options.platform)) {
+    result.errors.push(`Unknown platform "${options.platform}". Use ${PLATFORMS.join(', ')}`);
+    return finish();
+  }
+
   // Handle both config object and file path
   let widgetConfig = config;
   if (typeof config === 'string') {
-    widgetConfig = await fs.readJson(config);
+    try {
+      widgetConfig = await fs.readJson(config);
+    } catch (err) {
+      result.errors.push(`Cannot read config ${config}: ${err.message}`);
+      return finish();
+    }
+  }
+
+  // Reject invalid configs before anything is written to disk
+  logger.stepStarted('validate', 'Validating config...');
+  const validationErrors = validateConfig(widgetConfig);
+  if (validationErrors.length > 0) {
+    result.errors.push(...validationErrors);
+    logger.stepFinished('validate', {
+      ok: false,
+      message: `Invalid widget config (${validationErrors.length} problem(s))`,
+    });
+    return finish();
   }
+  logger.stepFinished('validate', { ok: true, message: 'Config is valid' });
 
-  // Normalize config (support both flat and nested)
+  // Normalize config (support both flat and nested). A suite config describes the package and
+  // holds a widget config per entry of `widgets`; they share one package.json and MPK
+  const suite = Array.isArray(widgetConfig.widgets);
   const widget = widgetConfig.widget || widgetConfig;
-  const properties = widgetConfig.properties || [];
-  const events = widgetConfig.events || [];
+  const entries = (suite ? widgetConfig.widgets : [widgetConfig]).map(readWidgetEntry);
 
   const {
     name,
     displayName = name,
     description = `A custom ${displayName} widget`,
-    category = 'Display',
     company = 'mycompany',
+    version = '1.0.0',
   } = widget;
 
-  const widgetNameLower = name.toLowerCase();
-  const outputDir = path.resolve(options.output || '.', widgetNameLower);
+  const platform = options.platform || (widget.platform ?? widgetConfig.platform) || 'web';
+  if (suite && platform !== 'web') {
+    result.errors.push(
+      `Widget suites are built for web only: build:native of pluggable-widgets-tools cannot ` +
+        `load the rollup.config.mjs that bundles the other widgets. Generate ${platform} ` +
+        `widgets as separate packages`
+    );
+    return finish();
+  }
+  const outputDir = path.resolve(options.output || '.', name.toLowerCase());
+  result.name = name;
+  result.platform = platform;
+  result.displayName = displayName;
+  result.widgets = entries.map((entry) => entry.name);
+  result.outputDir = outputDir;
+
+  // Dependency versions follow the target Mendix version: --mendix-version, else the project's
+  const mendixPath = options.mendixProjectPath || widgetConfig.mendixProjectPath;
+  const mendixVersion =
+    options.mendixVersion || (mendixPath ? detectMendixVersion(mendixPath) : null);
+  let dependencies = DEFAULT_DEPENDENCIES;
+  if (mendixVersion) {
+    dependencies = selectDependencies(mendixVersion);
+    result.mendixVersion = mendixVersion;
+    if (!dependencies.supported) {
+      warn(
+        `Mendix ${mendixVersion} is older than ${dependencies.mendix}, the oldest supported version. ` +
+          `Using the dependencies for ${dependencies.mendix}`
+      );
+    }
+  } else if (mendixPath) {
+    warn(
+      `Could not detect the Mendix version of ${mendixPath}. Pass --mendix-version to match ` +
+        `the widget's dependencies to it`
+    );
+  }
+  // Without a target the default row's tools validate the XML, so check against its version
+  findUnsupportedFeatures(
+    entries.flatMap((entry) => entry.rawProperties),
+    mendixVersion || dependencies.mendix
+  ).forEach(warn);
+
+  // Toolbox icon and tiles; config paths are relative to the config file, --icon to the cwd
+  if (options.icon) {
+    if (suite) {
+      warn('--icon is ignored for widget suites; set "icon" on the entries of "widgets"');
+    } else {
+      entries[0].imageSources.icon = path.resolve(options.icon);
+    }
+  }
+  const configDir = typeof config === 'string' ? path.dirname(path.resolve(config)) : process.cwd();
+  for (const entry of entries) {
+    const images = await loadWidgetImages(entry.name, entry.imageSources, configDir);
+    images.warnings.forEach(warn);
+    result.errors.push(...images.errors);
+    entry.images = images.images;
+  }
+  if (result.errors.length > 0) {
+    return finish();
+  }
+  // Studio Pro 9 reads the icon files; older versions only know the base64 <icon> element
+  const embedIcon = mendixVersion && !supportsIconFiles(mendixVersion);
+
+  const dryRun = result.dryRun;
+  const update = Boolean(options.update) && !dryRun;
+  const exists = await fs.pathExists(outputDir);
+
+  if (exists && !update && !dryRun) {
+    warn(`${outputDir} already exists and will be overwritten. Use --update to keep your changes.`);
+  }
 
-  console.log('');
-  const spinner = ora(`Creating ${chalk.cyan(name)} widget...`).start();
+  const step = dryRun ? 'plan' : 'generate';
+  logger.stepStarted(
+    step,
+    `${dryRun ? 'Planning' : update ? 'Updating' : 'Creating'} ${name} widget${
+      suite ? ' suite' : ''
+    }...`
+  );
 
+  let files;
   try {
-    // Create directory structure
-    await fs.ensureDir(outputDir);
-    await fs.ensureDir(path.join(outputDir, 'src'));
-
-    // Generate files
-    spinner.text = 'Generating widget XML...';
-    await generateWidgetXml(outputDir, {
-      name,
-      displayName,
-      description,
-      category,
-      company,
-      properties,
-      events,
-    });
+    if (update && !exists) {
+      throw new Error(
+        `Nothing to update: ${outputDir} does not exist. Run without --update first.`
+      );
+    }
+
+    // Translation maps resolve to their en_US text; only text template defaults keep theirs
+    for (const entry of entries) {
+      entry.properties = localizeProperties(normalizeProperties(entry.rawProperties), warn);
+      entry.events = localizeEvents(entry.rawEvents);
+    }
+    // Progress of a suite names the widget each step is for
+    const progress = (message, entry) =>
+      logger.stepProgress(step, suite && entry ? `${entry.name}: ${message}` : message);
 
-    spinner.text = 'Generating package.json...';
-    await generatePackageJson(outputDir, { name, displayName, description, company });
+    // Generate into an in-memory plan; nothing touches disk until it is flushed
+    files = createFilePlan();
+    const native = platform === 'native';
+    // Suite widgets share one stylesheet, named after the package
+    const styleSheet = name;
 
-    spinner.text = 'Generating tsconfig.json...';
-    await generateTsConfig(outputDir);
+    for (const entry of entries) {
+      progress('Generating widget XML...', entry);
+      await generateWidgetXml(
+        files,
+        {
+          ...entry,
+          packageName: name,
+          company,
+          platform,
+          icon: embedIcon
+            ? entry.images.find((image) => image.field === 'icon').content.toString('base64')
+            : null,
+        },
+        (message) => warn(suite ? `${entry.name}: ${message}` : message)
+      );
+    }
+    if (platform === 'both') {
+      warn(
+        `pluggable-widgets-tools builds src/${name}.tsx for both platforms. Replace its DOM ` +
+          `elements and CSS with platform-neutral code before running build:native`
+      );
+    }
 
-    spinner.text = 'Generating component...';
-    await generateComponent(outputDir, { name, properties, events });
+    logger.stepProgress(step, 'Generating package.json...');
+    await generatePackageJson(
+      files,
+      { name, widgetName: entries[0].name, description, company, version, platform },
+      dependencies
+    );
 
-    spinner.text = 'Generating preview...';
-    await generatePreview(outputDir, { name, displayName });
+    logger.stepProgress(step, 'Generating tsconfig.json...');
+    await generateTsConfig(files);
 
-    spinner.text = 'Generating styles...';
-    await generateStyles(outputDir, { name });
+    let nativeStyles;
+    for (const entry of entries) {
+      const { properties, events } = entry;
 
-    spinner.text = 'Generating package.xml...';
-    await generatePackageXml(outputDir, { name, displayName, description, company });
+      progress('Generating typings...', entry);
+      await generateTypings(files, { name: entry.name, properties, events, platform });
 
-    spinner.succeed(`Created ${chalk.cyan(name)} in ${chalk.gray(outputDir)}`);
+      progress('Generating component...', entry);
+      if (native) {
+        nativeStyles = await generateNativeComponent(files, { name, properties, events });
+      } else {
+        await generateComponent(files, { name: entry.name, properties, events, styleSheet });
+      }
 
-    // Install dependencies
-    if (options.install !== false) {
-      const installSpinner = ora('Installing dependencies...').start();
-      try {
-        execSync('npm install', { cwd: outputDir, stdio: 'pipe' });
-        installSpinner.succeed('Dependencies installed');
-      } catch (err) {
-        installSpinner.fail('Failed to install dependencies');
-        console.log(chalk.yellow('  Run `npm install` manually'));
+      // The native build bundles no design mode preview; Studio Pro shows a placeholder
+      if (!native) {
+        progress('Generating preview...', entry);
+        await generatePreview(files, { ...entry, styleSheet });
       }
+
+      progress('Generating editor config...', entry);
+      await generateEditorConfig(files, { name: entry.name, properties, events });
+
+      progress('Generating unit tests...', entry);
+      await generateUnitTests(files, { name: entry.name, properties, events, platform });
+    }
+
+    logger.stepProgress(step, 'Generating styles...');
+    if (native) {
+      await generateNativeStyles(files, { name, styles: nativeStyles });
+    } else {
+      await generateStyles(files, { name: styleSheet, widgets: result.widgets });
+    }
+
+    if (suite) {
+      logger.stepProgress(step, 'Generating shared components...');
+      await generateSharedComponents(files, { name });
+
+      logger.stepProgress(step, 'Generating rollup.config.mjs...');
+      await generateSuiteRollupConfig(files, { name });
     }
 
-    // Build widget
-    if (options.build !== false) {
-      const buildSpinner = ora('Building widget...').start();
-      try {
-        execSync('npm run build', { cwd: outputDir, stdio: 'pipe' });
-        buildSpinner.succeed('Build successful');
-
-        // Find MPK
-        const distDir = path.join(outputDir, 'dist');
-        if (await fs.pathExists(distDir)) {
-          const mpks = await findFiles(distDir, '.mpk');
-          if (mpks.length > 0) {
-            const mpkSize = (await fs.stat(mpks[0])).size / 1024;
-            console.log(
-              chalk.green(`  ✅ MPK created: ${path.basename(mpks[0])} (${mpkSize.toFixed(1)} KB)`)
-            );
-
-            // Auto-deploy to Mendix project if path provided
-            const mendixPath = options.mendixProjectPath || widgetConfig.mendixProjectPath;
-            if (mendixPath) {
-              try {
-                const widgetsFolder = mendixPath.endsWith('widgets')
-                  ? mendixPath
-                  : path.join(mendixPath, 'widgets');
-                await fs.ensureDir(widgetsFolder);
-                await fs.copy(mpks[0], path.join(widgetsFolder, path.basename(mpks[0])));
-                console.log(chalk.green(`  ✅ Deployed to: ${widgetsFolder}`));
-              } catch (deployErr) {
-                console.log(chalk.yellow(`  ⚠️ Could not auto-deploy: ${deployErr.message}`));
-              }
+    logger.stepProgress(step, 'Adding icons...');
+    entries.forEach((entry) =>
+      entry.images.forEach(({ file, content }) => files.write(file, content))
+    );
+
+    logger.stepProgress(step, 'Generating package.xml...');
+    await generatePackageXml(files, { name, version, widgets: result.widgets });
+
+    if (dryRun) {
+      result.files = files.entries().map(({ content, ...entry }) =>
+        Buffer.isBuffer(content)
+          ? {
+              ...entry,
+              status: 'planned',
+              content: content.toString('base64'),
+              encoding: 'base64',
             }
-          }
-        }
-      } catch (err) {
-        buildSpinner.fail('Build failed');
-        console.log(chalk.red('  Check the output above for errors'));
+          : { ...entry, status: 'planned', content }
+      );
+      logger.stepFinished(step, { ok: true, message: `Planned ${name} for ${outputDir}` });
+      return finish();
+    }
+
+    if (update) {
+      // Only these are owned by the generator; everything else may contain hand-written code
+      const owned = [
+        ...result.widgets.flatMap((widgetName) => [
+          `src/${widgetName}.xml`,
+          `typings/${widgetName}Props.d.ts`,
+        ]),
+        'src/package.xml',
+      ];
+      result.update = await applyUpdate(files, outputDir, owned);
+      const status = updateStatuses(result.update);
+      result.files = files.entries().map(({ path: file, size }) => ({
+        path: file,
+        size,
+        status: status.get(file),
+      }));
+    } else {
+      await files.flush(outputDir);
+      await writeBaseline(files, outputDir);
+      result.files = files.entries().map(({ path: file, size }) => ({
+        path: file,
+        size,
+        status: 'written',
+      }));
+    }
+    result.files.forEach((file) => logger.fileWritten(file));
+    logger.stepFinished(step, {
+      ok: true,
+      message: `${update ? 'Updated' : 'Created'} ${name} in ${outputDir}`,
+    });
+  } catch (err) {
+    result.errors.push(err.message);
+    logger.stepFinished(step, { ok: false, message: 'Failed to create widget' });
+    return finish();
+  }
+
+  if (update && (result.update.conflicts.length > 0 || result.update.unresolved.length > 0)) {
+    const count = result.update.conflicts.length + result.update.unresolved.length;
+    result.errors.push(`${count} file(s) need their merge conflicts resolved`);
+    return finish();
+  }
+
+  // Install and build with the package manager given, or the one the workspace's lockfile uses
+  const manager = options.packageManager || detectPackageManager(outputDir).name;
+  if (options.install !== false || options.build !== false) {
+    result.packageManager = manager;
+  }
+
+  // Every run is kept in .cmw/build.log; the log is rewritten after each one
+  const runs = [];
+  const logRun = async (run) => {
+    runs.push(run);
+    try {
+      result.buildLog = await writeBuildLog(outputDir, runs);
+    } catch (err) {
+      warn(`Could not write ${BUILD_LOG}: ${err.message}`);
+    }
+  };
+
+  // Install dependencies
+  if (options.install !== false) {
+    logger.stepStarted('install', `Installing dependencies with ${manager}...`);
+    const toolsRange = options.offline ? await readToolsRange(outputDir) : null;
+    const cacheError = toolsRange && checkOfflineCache(manager, toolsRange);
+    let install = { ok: false, stderr: '' };
+    if (cacheError) {
+      result.errors.push(cacheError);
+    } else {
+      install = runPackageManager(manager, installArgs(options), outputDir);
+      await logRun(install);
+      if (!install.ok) {
+        result.errors.push(
+          (toolsRange && offlineCacheError(manager, toolsRange, install.stderr)) ||
+            `${manager} install failed. See ${BUILD_LOG} or run \`${manager} install\` manually`
+        );
       }
     }
+    logger.stepFinished('install', {
+      ok: install.ok,
+      message: install.ok
+        ? 'Dependencies installed'
+        : cacheError
+        ? `${TOOLS_PACKAGE} is not in the ${manager} cache`
+        : 'Failed to install dependencies',
+      stderr: install.stderr,
+      logPath: result.buildLog,
+    });
+  }
 
-    // Success message
-    console.log('');
-    console.log(
-      chalk.green.bold('╔═══════════════════════════════════════════════════════════════════╗')
-    );
-    console.log(
-      chalk.green.bold('║  ✅ WIDGET READY!                                                 ║')
-    );
-    console.log(
-      chalk.green.bold('╚═══════════════════════════════════════════════════════════════════╝')
+  // Build widget
+  if (options.build !== false) {
+    logger.stepStarted('build', 'Building widget...');
+    const build = runPackageManager(manager, buildArgs(), outputDir);
+    await logRun(build);
+    result.diagnostics = parseDiagnostics(`${build.stdout}\n${build.stderr}`, outputDir);
+    if (build.ok) {
+      const distDir = path.join(outputDir, 'dist');
+      const mpks = (await fs.pathExists(distDir)) ? await findFiles(distDir, '.mpk') : [];
+      result.mpkPath = mpks[0] || null;
+    } else {
+      const count = result.diagnostics.filter((d) => d.severity === 'error').length;
+      result.errors.push(
+        `${manager} run build failed${count ? ` with ${count} error(s)` : ''}. See ${BUILD_LOG}`
+      );
+    }
+    logger.stepFinished('build', {
+      ok: build.ok,
+      message: build.ok ? 'Build successful' : 'Build failed',
+      mpkPath: result.mpkPath,
+      stderr: build.stderr,
+      diagnostics: result.diagnostics,
+      logPath: result.buildLog,
+    });
+  }
+
+  // Auto-deploy to Mendix project if path provided
+  if (result.mpkPath && mendixPath) {
+    logger.stepStarted('deploy', 'Deploying to the Mendix project...');
+    try {
+      const widgetsFolder = mendixPath.endsWith('widgets')
+        ? mendixPath
+        : path.join(mendixPath, 'widgets');
+      await fs.ensureDir(widgetsFolder);
+      await fs.copy(result.mpkPath, path.join(widgetsFolder, path.basename(result.mpkPath)));
+      result.deployedTo = widgetsFolder;
+      logger.stepFinished('deploy', {
+        ok: true,
+        message: `Deployed to: ${widgetsFolder}`,
+        deployedTo: widgetsFolder,
+      });
+    } catch (deployErr) {
+      result.warnings.push(`Could not auto-deploy: ${deployErr.message}`);
+      logger.stepFinished('deploy', {
+        ok: false,
+        message: `Could not auto-deploy: ${deployErr.message}`,
+      });
+    }
+  }
+
+  return finish();
+}
+
+/**
+ * Reads the widget fields of a config, or of an entry of a suite's `widgets`, which keep them
+ * flat or under `widget` like a config does.
+ */
+function readWidgetEntry(config) {
+  const widget = config.widget || config;
+  const {
+    name,
+    displayName = name,
+    description = `A custom ${displayName} widget`,
+    category = 'Display',
+  } = widget;
+
+  return {
+    name,
+    displayName,
+    description,
+    category,
+    rawProperties: config.properties || [],
+    rawEvents: config.events || [],
+    propertyGroups: config.propertyGroups,
+    systemProperties: widget.systemProperties ?? config.systemProperties,
+    needsEntityContext: widget.needsEntityContext ?? config.needsEntityContext,
+    offlineCapable: widget.offlineCapable ?? config.offlineCapable,
+    imageSources: Object.fromEntries(
+      Object.keys(IMAGE_FIELDS).map((field) => [field, widget[field] ?? config[field]])
+    ),
+  };
+}
+
+// Version range of the widget tools in the generated package.json, for the offline cache check
+async function readToolsRange(dir) {
+  try {
+    return (await fs.readJson(path.join(dir, 'package.json'))).devDependencies?.[TOOLS_PACKAGE];
+  } catch {
+    return null;
+  }
+}
+
+// Maps every file of an --update run to the outcome applyUpdate reported for it
+function updateStatuses(report) {
+  const status = new Map();
+  for (const key of [
+    'created',
+    'replaced',
+    'merged',
+    'unchanged',
+    'adopted',
+    'kept',
+    'unresolved',
+  ]) {
+    report[key].forEach((file) => status.set(file, key));
+  }
+  report.conflicts.forEach(({ file }) => status.set(file, 'conflict'));
+  return status;
+}
+
+// ============================================================================
+// CONFIG NORMALIZATION
+// ============================================================================
+
+/**
+ * Normalizes property configs before any file is generated. Object lists are
+ * normalized recursively so nested enumerations get the same treatment.
+ */
+export function normalizeProperties(properties) {
+  return properties.map((prop) => {
+    if (prop.type === 'enumeration') {
+      return normalizeEnumeration(prop);
+    }
+    if (prop.type === 'object' && prop.properties) {
+      return { ...prop, properties: normalizeProperties(prop.properties) };
+    }
+    return prop;
+  });
+}
+
+/**
+ * Accepts the three enumeration formats in use and returns the property with
+ * `options: [{ key, caption }]` and a validated `defaultValue`:
+ * - `enumValues: ["info", "error"]` (templates and wizard)
+ * - `options: [{ key, caption }]` (widget-config-schema.json)
+ * - `enumValues: [{ key, caption }]` (VS Code extension bridge)
+ */
+function normalizeEnumeration(prop) {
+  const values = prop.options || prop.enumValues || [];
+  const options = values.map((value) => {
+    const key = typeof value === 'string' ? value : value?.key;
+    if (typeof key !== 'string' || key === '') {
+      throw new Error(
+        `Enumeration "${prop.key}" has an option without a key: ${JSON.stringify(value)}`
+      );
+    }
+    const caption = typeof value === 'string' ? undefined : value.caption;
+    return { key, caption: caption || key.charAt(0).toUpperCase() + key.slice(1) };
+  });
+
+  if (options.length === 0) {
+    throw new Error(
+      `Enumeration "${prop.key}" needs at least one option in "options" or "enumValues"`
     );
-    console.log('');
-    console.log(chalk.white('  Next steps:'));
-    console.log(
-      chalk.gray(
-        `  1. Copy the .mpk from ${widgetNameLower}/dist/ to your Mendix project widgets folder`
-      )
+  }
+  const keys = options.map((o) => o.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw new Error(`Enumeration "${prop.key}" lists option "${duplicate}" more than once`);
+  }
+
+  const defaultValue = prop.defaultValue ?? keys[0];
+  if (!keys.includes(String(defaultValue))) {
+    throw new Error(
+      `Enumeration "${prop.key}" has defaultValue "${defaultValue}", ` +
+        `which is not one of its options: ${keys.join(', ')}`
     );
-    console.log(chalk.gray('  2. Open Studio Pro and press F4 to refresh'));
-    console.log(chalk.gray(`  3. Find "${displayName}" in the toolbox`));
-    console.log('');
-  } catch (err) {
-    spinner.fail('Failed to create widget');
-    console.error(chalk.red(err.message));
-    process.exit(1);
   }
+
+  const { enumValues, ...rest } = prop;
+  return { ...rest, options, defaultValue: String(defaultValue) };
 }
 
 // ============================================================================
 // FILE GENERATORS
 // ============================================================================
 
-async function generateWidgetXml(dir, config) {
-  const { name, displayName, description, category, company, properties, events } = config;
+async function generateWidgetXml(files, config, warn = () => {}) {
+  const { name, displayName, description, company, packageName = name } = config;
+  const { needsEntityContext, offlineCapable, systemProperties } = resolveWidgetSettings(
+    config,
+    warn
+  );
 
-  const propsXml = properties.map((p) => generatePropertyXml(p)).join('\n');
-  const eventsXml = events.map((e) => generateEventXml(e)).join('\n');
+  // The middle segment is the package folder the build writes the widget's bundle to
+  const widgetId = escapeXmlAttribute(`${company}.${packageName.toLowerCase()}.${name}`);
 
   const xml = `<?xml version="1.0" encoding="utf-8"?>
-<widget id="${company}.${name.toLowerCase()}.${name}" pluginWidget="true" needsEntityContext="false"
-        supportedPlatform="Web" offlineCapable="true"
+<widget id="${widgetId}" pluginWidget="true" needsEntityContext="${needsEntityContext}"
+        supportedPlatform="${toSupportedPlatform(
+          config.platform
+        )}" offlineCapable="${offlineCapable}"
         xmlns="http://www.mendix.com/widget/1.0/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
         xsi:schemaLocation="http://www.mendix.com/widget/1.0/ ../node_modules/mendix/custom_widget.xsd">
-    <name>${displayName}</name>
-    <description>${description}</description>
-    <icon/>
+    <name>${escapeXmlText(displayName)}</name>
+    <description>${escapeXmlText(description)}</description>
+    ${config.icon ? `<icon>${config.icon}</icon>` : '<icon/>'}
     <properties>
-        <propertyGroup caption="General">
-${propsXml}
-        </propertyGroup>
-        <propertyGroup caption="Events">
-${eventsXml}
-        </propertyGroup>
-        <propertyGroup caption="Common">
-            <systemProperty key="Name" />
-            <systemProperty key="Visibility" />
-        </propertyGroup>
+${generatePropertyGroupsXml({ ...config, systemProperties })}
     </properties>
 </widget>`;
 
-  await fs.writeFile(path.join(dir, 'src', `${name}.xml`), xml);
+  files.write(`src/${name}.xml`, xml);
 }
 
-function generatePropertyXml(prop) {
+const SYSTEM_PROPERTIES = ['Name', 'TabIndex', 'Visibility', 'Editability', 'Label'];
+
+/**
+ * Resolves systemProperties, needsEntityContext and offlineCapable from the config and checks
+ * them against the property types they depend on. Only what Studio Pro rejects is an error:
+ * - attributes and associations outside a datasource read from the context object
+ * - system properties must be known and listed once
+ * Label without an entity context and Editability without attribute or association properties
+ * are valid XML that does little, so they are reported through `warn`.
+ */
+function resolveWidgetSettings(config, warn) {
   const {
-    key,
-    type,
-    caption,
-    description,
-    required = false,
-    defaultValue,
-    enumValues,
-    returnType,
-    attributeTypes,
-  } = prop;
-  const req = required ? 'required="true"' : 'required="false"';
-  const indent = '            ';
+    properties = [],
+    systemProperties = ['Name', 'Visibility'],
+    offlineCapable = true,
+  } = config;
+  const contextProps = properties.filter(
+    (p) => ['attribute', 'association'].includes(p.type) && !p.dataSource
+  );
+  const needsEntityContext = config.needsEntityContext ?? contextProps.length > 0;
+
+  const unknown = systemProperties.filter((key) => !SYSTEM_PROPERTIES.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(
+      `systemProperties: unknown system property "${unknown[0]}". ` +
+        `Supported: ${SYSTEM_PROPERTIES.join(', ')}`
+    );
+  }
+  const duplicate = systemProperties.find((key, index) => systemProperties.indexOf(key) !== index);
+  if (duplicate) {
+    throw new Error(`systemProperties: "${duplicate}" is listed more than once`);
+  }
+
+  if (!needsEntityContext && contextProps.length > 0) {
+    throw new Error(
+      `needsEntityContext is false, but ${contextProps
+        .map((p) => `"${p.key}" (${p.type})`)
+        .join(', ')} read from the context object. ` +
+        'Set needsEntityContext to true or link them to a datasource with "dataSource".'
+    );
+  }
+  if (systemProperties.includes('Label') && !needsEntityContext) {
+    warn(
+      'systemProperties: "Label" is rendered by the surrounding data view, which ' +
+        'needsEntityContext false does not require; the label may not show'
+    );
+  }
+  if (
+    systemProperties.includes('Editability') &&
+    !properties.some((p) => ['attribute', 'association'].includes(p.type))
+  ) {
+    warn(
+      'systemProperties: "Editability" has no effect without an attribute or association property'
+    );
+  }
+
+  return { needsEntityContext, offlineCapable, systemProperties };
+}
+
+/**
+ * Resolves the configured propertyGroups (tabs with optional sections) into a tree of
+ * property configs. Without propertyGroups the classic General / Events / Common layout is used.
+ */
+function resolvePropertyGroups(config) {
+  const { properties = [], events = [], propertyGroups, systemProperties } = config;
+
+  if (!propertyGroups || propertyGroups.length === 0) {
+    return [
+      { caption: 'General', items: properties },
+      { caption: 'Events', items: events },
+      { caption: 'Common', systemProperties },
+    ].filter((group) => group.systemProperties || group.items.length > 0);
+  }
+
+  const available = new Map([
+    ...properties.map((p) => [p.key, p]),
+    ...events.map((e) => [e.key, e]),
+  ]);
+  const assigned = new Set();
+
+  const resolveKeys = (keys = [], where) =>
+    keys.map((key) => {
+      if (!available.has(key)) {
+        throw new Error(
+          `propertyGroups: ${where} references unknown property "${key}". ` +
+            `Known keys: ${[...available.keys()].join(', ') || '(none)'}`
+        );
+      }
+      if (assigned.has(key)) {
+        throw new Error(`propertyGroups: property "${key}" is assigned to more than one group`);
+      }
+      assigned.add(key);
+      return available.get(key);
+    });
+
+  const groups = propertyGroups.map((group) => {
+    const where = `group "${group.caption}"`;
+    const items = resolveKeys(group.properties, where);
+
+    if (!group.sections || group.sections.length === 0) {
+      return { caption: group.caption, items };
+    }
+
+    // A group holds either properties or nested groups, so loose properties
+    // next to sections become a leading section named after the group
+    const sections = group.sections.map((section) => ({
+      caption: section.caption,
+      items: resolveKeys(section.properties, `${where} > section "${section.caption}"`),
+    }));
+    return {
+      caption: group.caption,
+      sections: items.length > 0 ? [{ caption: group.caption, items }, ...sections] : sections,
+    };
+  });
+
+  const unassigned = [...available.values()].filter((p) => !assigned.has(p.key));
+  if (unassigned.length > 0) {
+    groups.push({ caption: 'Other', items: unassigned });
+  }
+  groups.push({ caption: 'Common', systemProperties });
+
+  return groups;
+}
+
+function generatePropertyGroupsXml(config, depth = 2) {
+  const events = new Set(config.events);
+  const renderItem = (item, indent) =>
+    events.has(item) ? generateEventXml(item, indent) : generatePropertyXml(item, indent);
+  const renderGroup = (group, level) => {
+    const indent = '    '.repeat(level);
+    const children = group.sections
+      ? group.sections.map((section) => renderGroup(section, level + 1))
+      : group.systemProperties
+      ? group.systemProperties.map((key) => `${indent}    <systemProperty key="${key}" />`)
+      : group.items.map((item) => renderItem(item, `${indent}    `));
+
+    return `${indent}<propertyGroup caption="${escapeXmlAttribute(group.caption)}">
+${children.join('\n')}
+${indent}</propertyGroup>`;
+  };
+
+  return resolvePropertyGroups(config)
+    .map((group) => renderGroup(group, depth))
+    .join('\n');
+}
+
+export function generatePropertyXml(prop, indent = '            ') {
+  const { key, type, caption, description, required = false, defaultValue, dataSource } = prop;
+  const attributes = [`key="${key}"`, `type="${type}"`];
+  const children = [];
+
+  // Child elements must follow the order of propertyType in custom_widget.xsd
+  const listXml = (element, item, values) =>
+    [`<${element}>`, ...values.map((v) => `    <${item} name="${v}" />`), `</${element}>`].join(
+      '\n'
+    );
 
   switch (type) {
     case 'string':
-      const strDefault = defaultValue ? `defaultValue="${defaultValue}"` : '';
-      return `${indent}<property key="${key}" type="string" ${req} ${strDefault}>
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}</property>`;
+      attributes.push(`required="${required}"`);
+      if (defaultValue !== undefined && defaultValue !== '') {
+        attributes.push(`defaultValue="${escapeXmlAttribute(defaultValue)}"`);
+      }
+      if (prop.multiline) {
+        attributes.push('multiline="true"');
+      }
+      break;
 
     case 'boolean':
-      return `${indent}<property key="${key}" type="boolean" defaultValue="${
-        defaultValue !== false
-      }">
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}</property>`;
+      attributes.push(`defaultValue="${defaultValue !== false}"`);
+      break;
 
     case 'integer':
-      return `${indent}<property key="${key}" type="integer" defaultValue="${defaultValue || 0}">
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}</property>`;
+      attributes.push(`defaultValue="${escapeXmlAttribute(defaultValue || 0)}"`);
+      break;
+
+    case 'decimal':
+      attributes.push(`defaultValue="${escapeXmlAttribute(defaultValue ?? 0)}"`);
+      break;
 
     case 'enumeration':
-      const enumXml = (enumValues || ['option1'])
-        .map(
-          (v) =>
-            `${indent}        <enumerationValue key="${v}">${
-              v.charAt(0).toUpperCase() + v.slice(1)
-            }</enumerationValue>`
-        )
-        .join('\n');
-      return `${indent}<property key="${key}" type="enumeration" defaultValue="${
-        defaultValue || enumValues?.[0] || 'option1'
-      }">
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}    <enumerationValues>
-${enumXml}
-${indent}    </enumerationValues>
-${indent}</property>`;
+      attributes.push(`defaultValue="${escapeXmlAttribute(defaultValue)}"`);
+      children.push(
+        [
+          '<enumerationValues>',
+          ...prop.options.map(
+            (o) =>
+              `    <enumerationValue key="${escapeXmlAttribute(o.key)}">` +
+              `${escapeXmlText(o.caption)}</enumerationValue>`
+          ),
+          '</enumerationValues>',
+        ].join('\n')
+      );
+      break;
 
     case 'textTemplate':
-      return `${indent}<property key="${key}" type="textTemplate" ${req}>
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}</property>`;
+      attributes.push(`required="${required}"`);
+      if (prop.multiline) {
+        attributes.push('multiline="true"');
+      }
+      if (defaultValue !== undefined && defaultValue !== '') {
+        const translations =
+          typeof defaultValue === 'string' ? { [SOURCE_LANGUAGE]: defaultValue } : defaultValue;
+        children.push(
+          [
+            '<translations>',
+            ...Object.entries(translations).map(
+              ([lang, text]) =>
+                `    <translation lang="${escapeXmlAttribute(lang)}">${escapeXmlText(
+                  text
+                )}</translation>`
+            ),
+            '</translations>',
+          ].join('\n')
+        );
+      }
+      break;
 
     case 'expression':
-      return `${indent}<property key="${key}" type="expression" ${req}>
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}    <returnType type="${returnType || 'String'}" />
-${indent}</property>`;
+      attributes.push(`required="${required}"`);
+      if (defaultValue !== undefined && defaultValue !== '') {
+        attributes.push(`defaultValue="${escapeXmlAttribute(defaultValue)}"`);
+      }
+      children.push(`<returnType type="${prop.returnType || 'String'}" />`);
+      break;
+
+    case 'action':
+      attributes.push(`required="${required}"`);
+      if (prop.defaultType) {
+        attributes.push(`defaultType="${prop.defaultType}"`);
+      }
+      if (prop.actionVariables?.length > 0) {
+        children.push(
+          [
+            '<actionVariables>',
+            ...prop.actionVariables.map(
+              (v) =>
+                `    <actionVariable key="${escapeXmlAttribute(v.key)}" type="${v.type}" ` +
+                `caption="${escapeXmlAttribute(v.caption)}" />`
+            ),
+            '</actionVariables>',
+          ].join('\n')
+        );
+      }
+      break;
 
     case 'attribute':
-      const attrTypesXml = (attributeTypes || ['String'])
-        .map((t) => `${indent}        <attributeType name="${t}" />`)
-        .join('\n');
-      return `${indent}<property key="${key}" type="attribute" ${req}>
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}    <attributeTypes>
-${attrTypesXml}
-${indent}    </attributeTypes>
-${indent}</property>`;
+      attributes.push(`required="${required}"`);
+      if (prop.onChange) {
+        attributes.push(`onChange="${prop.onChange}"`);
+      }
+      children.push(listXml('attributeTypes', 'attributeType', prop.attributeTypes || ['String']));
+      break;
+
+    case 'association':
+      attributes.push(`required="${required}"`);
+      if (prop.selectableObjects) {
+        attributes.push(`selectableObjects="${prop.selectableObjects}"`);
+      }
+      if (prop.onChange) {
+        attributes.push(`onChange="${prop.onChange}"`);
+      }
+      children.push(
+        listXml('associationTypes', 'associationType', prop.associationTypes || ['Reference'])
+      );
+      break;
+
+    case 'selection':
+      if (!dataSource) {
+        throw new Error(`Selection property "${key}" needs a "dataSource" to select from`);
+      }
+      if (prop.onChange) {
+        attributes.push(`onChange="${prop.onChange}"`);
+      }
+      children.push(
+        listXml(
+          'selectionTypes',
+          'selectionType',
+          prop.selectionTypes || ['None', 'Single', 'Multi']
+        )
+      );
+      break;
 
     case 'datasource':
-      return `${indent}<property key="${key}" type="datasource" isList="true" ${req}>
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}</property>`;
+      attributes.push('isList="true"', `required="${required}"`);
+      break;
 
     case 'widgets':
-      const dsRef = prop.dataSource ? `dataSource="${prop.dataSource}"` : '';
-      return `${indent}<property key="${key}" type="widgets" ${req} ${dsRef}>
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}</property>`;
+    case 'icon':
+      attributes.push(`required="${required}"`);
+      break;
+
+    case 'image':
+    case 'file':
+      attributes.push(`required="${required}"`);
+      // allowUpload is only part of the widget XSD from Mendix 11.8 on
+      if (prop.allowUpload !== undefined) {
+        attributes.push(`allowUpload="${prop.allowUpload}"`);
+      }
+      break;
+
+    case 'object':
+      if (!prop.properties || prop.properties.length === 0) {
+        throw new Error(`Object property "${key}" needs at least one nested property`);
+      }
+      attributes.push('isList="true"', `required="${required}"`);
+      children.push(
+        [
+          '<properties>',
+          '    <propertyGroup caption="General">',
+          ...prop.properties.map((p) => generatePropertyXml(p, '        ')),
+          '    </propertyGroup>',
+          '</properties>',
+        ].join('\n')
+      );
+      break;
 
     default:
-      return `${indent}<property key="${key}" type="${type}" ${req}>
-${indent}    <caption>${caption}</caption>
-${indent}    <description>${description}</description>
-${indent}</property>`;
+      throw new Error(
+        `Property "${key}" has unsupported type "${type}". Supported: ${PROPERTY_TYPES.join(', ')}`
+      );
+  }
+
+  if (dataSource) {
+    attributes.push(`dataSource="${dataSource}"`);
   }
+
+  const childXml = children
+    .join('\n')
+    .split('\n')
+    .map((line) => `${indent}    ${line}`);
+
+  return [
+    `${indent}<property ${attributes.join(' ')}>`,
+    `${indent}    <caption>${escapeXmlText(caption)}</caption>`,
+    `${indent}    <description>${escapeXmlText(description)}</description>`,
+    ...(children.length > 0 ? childXml : []),
+    `${indent}</property>`,
+  ].join('\n');
 }
 
-function generateEventXml(event) {
-  const indent = '            ';
-  return `${indent}<property key="${event.key}" type="action" required="false">
-${indent}    <caption>${event.caption}</caption>
-${indent}    <description>${event.description || 'Event handler'}</description>
-${indent}</property>`;
+export function generateEventXml(event, indent = '            ') {
+  return generatePropertyXml(
+    {
+      ...event,
+      type: 'action',
+      required: false,
+      description: event.description || 'Event handler',
+    },
+    indent
+  );
 }
 
-async function generatePackageJson(dir, config) {
-  const { name, description, company } = config;
+/**
+ * @param {import('./mendixVersion.js').Dependencies} dependencies - Versions for the target
+ *   Mendix version
+ */
+async function generatePackageJson(files, config, dependencies) {
+  const { name, widgetName = name, description, company, version, platform } = config;
   const pkg = {
     name: name.toLowerCase(),
-    version: '1.0.0',
+    // The widget the tools build; rollup.config.mjs adds the other widgets of a suite
+    widgetName,
+    version,
     description,
     copyright: `© ${new Date().getFullYear()} ${company}`,
     license: 'MIT',
-    scripts: {
-      build: `cross-env MPKOUTPUT=${name}.mpk pluggable-widgets-tools build:web`,
-      dev: 'pluggable-widgets-tools start:web',
-    },
+    // pluggable-widgets-tools reads both; icons are only packaged when widgetName matches
+    packagePath: company,
+    scripts: getPlatformScripts(name, platform),
     devDependencies: {
-      '@mendix/pluggable-widgets-tools': '~10.21.2',
-      '@types/react': '~18.2.0',
+      '@mendix/pluggable-widgets-tools': dependencies.pluggableWidgetsTools,
+      '@types/react': dependencies.typesReact,
       'cross-env': '^7.0.3',
+      ...(dependencies.typings && { mendix: dependencies.typings }),
     },
-    dependencies: {
-      classnames: '^2.3.2',
-    },
+    // Native components style through StyleSheet objects and need no class names
+    dependencies: platform === 'native' ? {} : { classnames: '^2.3.2' },
     overrides: {
-      react: '18.2.0',
-      'react-dom': '18.2.0',
-      '@types/react': '~18.2.0',
+      react: dependencies.react,
+      'react-dom': dependencies.react,
+      '@types/react': dependencies.typesReact,
     },
   };
 
-  await fs.writeJson(path.join(dir, 'package.json'), pkg, { spaces: 2 });
+  files.writeJson('package.json', pkg);
 }
 
-async function generateTsConfig(dir) {
+async function generateTsConfig(files) {
   const tsconfig = {
     compilerOptions: {
       allowSyntheticDefaultImports: true,
@@ -347,99 +1055,2163 @@ async function generateTsConfig(dir) {
       strict: true,
       target: 'ES2022',
     },
-    include: ['src/**/*'],
+    include: ['src/**/*', 'typings/**/*'],
   };
 
-  await fs.writeJson(path.join(dir, 'tsconfig.json'), tsconfig, { spaces: 2 });
+  files.writeJson('tsconfig.json', tsconfig);
 }
 
-async function generateComponent(dir, config) {
-  const { name, properties } = config;
-  const nameLower = name.toLowerCase();
+async function generateTypings(files, config) {
+  const { name, properties = [], events = [], platform } = config;
+  const native = platform === 'native';
 
-  const tsx = `import { ReactElement, createElement } from "react";
-import { ${name}ContainerProps } from "../typings/${name}Props";
-import classNames from "classnames";
+  // Events are action properties; both are typed the same way
+  const props = [...properties, ...events.map((e) => ({ ...e, type: 'action' }))];
+  const datasourceKeys = new Set(
+    properties.filter((p) => p.type === 'datasource').map((p) => p.key)
+  );
 
-import "./ui/${name}.css";
-
-export function ${name}({ class: className, name }: ${name}ContainerProps): ReactElement {
-    const rootClass = classNames("widget-${nameLower}", className);
-    
-    return (
-        <div className={rootClass} data-testid={name}>
-            <span>${name} Widget</span>
-        </div>
+  const enumTypes = flattenProperties(props)
+    .filter((p) => p.type === 'enumeration')
+    .map(
+      (p) =>
+        `export type ${getEnumTypeName(p)} = ${p.options
+          .map((o) => toJsString(o.key))
+          .join(' | ')};`
     );
-}
+
+  const containerProps = props
+    .map((p) => getContainerProp(p, datasourceKeys.has(p.dataSource), native))
+    .filter(Boolean);
+  const previewProps = props.map(getPreviewProp).filter(Boolean);
+  const objectTypes = generateObjectTypes(props, native);
+
+  // Native widgets get their styles as an array of style objects instead of class and style
+  const body = [
+    ...objectTypes,
+    ...(native
+      ? [`export interface ${name}Props<Style> {`, '    name: string;', '    style: Style[];']
+      : [
+          `export interface ${name}ContainerProps {`,
+          '    name: string;',
+          '    class: string;',
+          '    style?: CSSProperties;',
+          '    tabIndex?: number;',
+        ]),
+    ...containerProps.map((p) => `    ${p}`),
+    '}',
+    '',
+    `export interface ${name}PreviewProps {`,
+    '    /**',
+    '     * @deprecated Deprecated since version 9.18.0. Please use class property instead.',
+    '     */',
+    '    className: string;',
+    '    class: string;',
+    '    style: string;',
+    '    styleObject?: CSSProperties;',
+    '    readOnly: boolean;',
+    '    renderMode?: "design" | "xray" | "structure";',
+    ...previewProps.map((p) => `    ${p}`),
+    '}',
+  ].join('\n');
+
+  const source = `${enumTypes.join('\n\n')}\n\n${body}`;
+  const reactImports = ['ComponentType', 'CSSProperties', 'ReactNode'].filter((type) =>
+    new RegExp(`\\b${type}\\b`).test(source)
+  );
+  const mendixImports = MENDIX_TYPES.filter((type) => new RegExp(`\\b${type}\\b`).test(body));
+
+  const imports = [`import { ${reactImports.join(', ')} } from "react";`];
+  if (mendixImports.length > 0) {
+    imports.push(`import { ${mendixImports.join(', ')} } from "mendix";`);
+  }
+  if (/\bBig\b/.test(body)) {
+    imports.push('import { Big } from "big.js";');
+  }
+
+  const dts = `/**
+ * This file was generated from ${name}.xml by create-mendix-widget
+ * WARNING: All changes made to this file will be overwritten
+ * pluggable-widgets-tools regenerates it from the widget XML on every build
+ */
+${imports.join('\n')}
+${enumTypes.length > 0 ? `\n${enumTypes.join('\n\n')}\n` : ''}
+${body}
 `;
 
-  await fs.ensureDir(path.join(dir, 'src'));
-  await fs.writeFile(path.join(dir, 'src', `${name}.tsx`), tsx);
+  files.write(`typings/${name}Props.d.ts`, dts);
 }
 
-async function generatePreview(dir, config) {
-  const { name, displayName } = config;
-  const nameLower = name.toLowerCase();
+// Mendix runtime types referenced by generated typings, in import order
+export const MENDIX_TYPES = [
+  'ActionValue',
+  'DynamicValue',
+  'EditableValue',
+  'FileValue',
+  'ListValue',
+  'ListActionValue',
+  'ListAttributeValue',
+  'ListExpressionValue',
+  'ListReferenceValue',
+  'ListReferenceSetValue',
+  'ListWidgetValue',
+  'NativeIcon',
+  'NativeImage',
+  'Option',
+  'ReferenceValue',
+  'ReferenceSetValue',
+  'SelectionSingleValue',
+  'SelectionMultiValue',
+  'WebIcon',
+  'WebImage',
+];
 
-  const tsx = `import { ReactElement, createElement } from "react";
-import { ${name}PreviewProps } from "../typings/${name}Props";
+// TypeScript value types per expression return type / attribute type
+const VALUE_TYPES = {
+  String: 'string',
+  Enum: 'string',
+  HashString: 'string',
+  Boolean: 'boolean',
+  DateTime: 'Date',
+  Integer: 'Big',
+  Long: 'Big',
+  Decimal: 'Big',
+  AutoNumber: 'Big',
+};
 
-export function preview(_props: ${name}PreviewProps): ReactElement {
-    return <div className="widget-${nameLower}-preview">${displayName}</div>;
+// Object list properties carry their own nested properties
+function flattenProperties(props) {
+  return props.flatMap((p) =>
+    p.type === 'object' ? [p, ...flattenProperties(p.properties || [])] : [p]
+  );
 }
 
-export function getPreviewCss(): string {
-    return \`
-.widget-${nameLower}-preview {
-    padding: 8px 12px;
-    background: #f5f5f5;
-    border: 1px dashed #ccc;
-    border-radius: 4px;
-    font-size: 12px;
-    color: #666;
-}
-\`;
+export function getEnumTypeName(prop) {
+  return `${toPascalCase(prop.key)}Enum`;
 }
-`;
 
-  await fs.writeFile(path.join(dir, 'src', `${name}.editorPreview.tsx`), tsx);
+/**
+ * Maps a property to its runtime type on ContainerProps (`{Name}Props` for native widgets),
+ * following the rules pluggable-widgets-tools applies when it generates typings from the
+ * widget XML.
+ */
+export function getContainerProp(prop, linked, native = false) {
+  const { key, type, required } = prop;
+  const optional = required ? '' : '?';
+
+  switch (type) {
+    case 'string':
+      return `${key}: string;`;
+    case 'boolean':
+      return `${key}: boolean;`;
+    case 'integer':
+      return `${key}: number;`;
+    case 'decimal':
+      return `${key}: Big;`;
+    case 'enumeration':
+      return `${key}: ${getEnumTypeName(prop)};`;
+    case 'textTemplate':
+      return linked
+        ? `${key}${optional}: ListExpressionValue<string>;`
+        : `${key}${optional}: DynamicValue<string>;`;
+    case 'expression': {
+      const valueType = VALUE_TYPES[prop.returnType || 'String'];
+      return linked
+        ? `${key}${optional}: ListExpressionValue<${valueType}>;`
+        : `${key}${optional}: DynamicValue<${valueType}>;`;
+    }
+    case 'action': {
+      const args = prop.actionVariables?.length
+        ? `<{ ${prop.actionVariables
+            .map((v) => `${v.key}: Option<${VALUE_TYPES[v.type]}>`)
+            .join('; ')} }>`
+        : '';
+      return linked ? `${key}?: ListActionValue${args};` : `${key}?: ActionValue${args};`;
+    }
+    case 'attribute': {
+      const valueType = [
+        ...new Set((prop.attributeTypes || ['String']).map((t) => VALUE_TYPES[t])),
+      ].join(' | ');
+      return linked
+        ? `${key}${optional}: ListAttributeValue<${valueType}>;`
+        : `${key}${optional}: EditableValue<${valueType}>;`;
+    }
+    case 'datasource':
+      return `${key}${optional}: ListValue;`;
+    case 'widgets':
+      return linked ? `${key}${optional}: ListWidgetValue;` : `${key}${optional}: ReactNode;`;
+    case 'icon':
+      return `${key}${optional}: DynamicValue<${native ? 'NativeIcon' : 'WebIcon'}>;`;
+    case 'image':
+      return `${key}${optional}: DynamicValue<${native ? 'NativeImage' : 'WebImage'}>;`;
+    case 'file':
+      return `${key}${optional}: DynamicValue<FileValue>;`;
+    case 'association': {
+      const types = prop.associationTypes || ['Reference'];
+      const valueType = types.map((t) => (linked ? `List${t}Value` : `${t}Value`)).join(' | ');
+      return `${key}${optional}: ${valueType};`;
+    }
+    case 'selection': {
+      const types = (prop.selectionTypes || ['None', 'Single', 'Multi']).filter(
+        (t) => t !== 'None'
+      );
+      return `${key}?: ${types.map((t) => `Selection${t}Value`).join(' | ')};`;
+    }
+    case 'object':
+      return `${key}: ${toPascalCase(key)}Type[];`;
+    default:
+      return null;
+  }
 }
 
-async function generateStyles(dir, config) {
-  const { name } = config;
-  const nameLower = name.toLowerCase();
+/**
+ * Maps a property to the design-time shape Studio Pro passes to the editor preview.
+ */
+export function getPreviewProp(prop) {
+  const { key, type } = prop;
 
-  const css = `.widget-${nameLower} {
-    /* Widget container styles */
+  switch (type) {
+    case 'string':
+    case 'textTemplate':
+    case 'expression':
+    case 'attribute':
+    case 'association':
+    case 'file':
+      return `${key}: string;`;
+    case 'boolean':
+      return `${key}: boolean;`;
+    case 'integer':
+    case 'decimal':
+      return `${key}: number | null;`;
+    case 'enumeration':
+      return `${key}: ${getEnumTypeName(prop)};`;
+    case 'action':
+      return `${key}: {} | null;`;
+    case 'datasource':
+      return `${key}: {} | { caption: string } | { type: string } | null;`;
+    case 'widgets':
+      return `${key}: { widgetCount: number; renderer: ComponentType<{ children: ReactNode; caption?: string }> };`;
+    case 'icon':
+      return `${key}: { type: "glyph"; iconClass: string; } | { type: "image"; imageUrl: string; iconUrl: string; } | { type: "icon"; iconClass: string; } | undefined;`;
+    case 'image':
+      return `${key}: { type: "static"; imageUrl: string; } | { type: "dynamic"; entity: string; } | null;`;
+    case 'selection':
+      return `${key}: ${(prop.selectionTypes || ['None', 'Single', 'Multi'])
+        .map((t) => `"${t}"`)
+        .join(' | ')};`;
+    case 'object':
+      return `${key}: ${toPascalCase(key)}PreviewType[];`;
+    default:
+      return null;
+  }
 }
 
-.widget-${nameLower}--loading {
-    opacity: 0.6;
+/**
+ * Generates the `{Key}Type` / `{Key}PreviewType` interfaces for object list properties,
+ * nested objects first so every interface is declared before it is referenced.
+ */
+function generateObjectTypes(props, native = false) {
+  const types = [];
+
+  for (const prop of props.filter((p) => p.type === 'object')) {
+    const children = prop.properties || [];
+    const typeName = toPascalCase(prop.key);
+    types.push(...generateObjectTypes(children, native));
+    types.push(
+      `export interface ${typeName}Type {`,
+      ...children
+        .map((p) => getContainerProp(p, false, native))
+        .filter(Boolean)
+        .map((p) => `    ${p}`),
+      '}',
+      '',
+      `export interface ${typeName}PreviewType {`,
+      ...children
+        .map(getPreviewProp)
+        .filter(Boolean)
+        .map((p) => `    ${p}`),
+      '}',
+      ''
+    );
+  }
+
+  return types;
 }
 
-.widget-${nameLower}--error {
-    color: #e74c3c;
+// Property types supported in widget XML, typings and components
+const PROPERTY_TYPES = [
+  'string',
+  'boolean',
+  'integer',
+  'decimal',
+  'enumeration',
+  'textTemplate',
+  'expression',
+  'action',
+  'attribute',
+  'association',
+  'selection',
+  'datasource',
+  'widgets',
+  'icon',
+  'image',
+  'file',
+  'object',
+];
+
+// Property types the component generator knows how to render
+const COMPONENT_TYPES = new Set([
+  'string',
+  'boolean',
+  'integer',
+  'decimal',
+  'enumeration',
+  'textTemplate',
+  'expression',
+  'attribute',
+  'datasource',
+  'widgets',
+  'icon',
+  'image',
+  'file',
+  'association',
+  'selection',
+  'object',
+]);
+
+// Event keys that map straight onto a DOM event of the root element
+const DOM_EVENTS = [
+  'onClick',
+  'onDoubleClick',
+  'onFocus',
+  'onBlur',
+  'onMouseEnter',
+  'onMouseLeave',
+];
+
+// Keys already present on every ContainerProps interface
+const RESERVED_PROPS = new Set(['name', 'class', 'style', 'tabIndex']);
+
+async function generateComponent(files, config) {
+  const { name, properties = [], events = [], styleSheet = name } = config;
+  const rootClass = `widget-${name.toLowerCase()}`;
+
+  // Action properties and events are both ActionValue props at runtime
+  const actions = [...properties.filter((p) => p.type === 'action'), ...events].filter(
+    (a) => !RESERVED_PROPS.has(a.key)
+  );
+  const values = properties.filter(
+    (p) => COMPONENT_TYPES.has(p.type) && !RESERVED_PROPS.has(p.key)
+  );
+  const datasourceKeys = new Set(values.filter((p) => p.type === 'datasource').map((p) => p.key));
+  const isLinked = (p) => datasourceKeys.has(p.dataSource);
+
+  const loadingKeys = [];
+  const modifiers = [];
+  const conditionalModifiers = [];
+  const handlers = [];
+  const rootEvents = {};
+  const actionButtons = [];
+  const children = [];
+
+  for (const prop of values.filter((p) => !isLinked(p))) {
+    const { key, type } = prop;
+    const elementClass = `${rootClass}__${toKebabCase(key)}`;
+
+    switch (type) {
+      case 'string':
+      case 'integer':
+        children.push(`<span className="${elementClass}">{${key}}</span>`);
+        break;
+      case 'decimal':
+        children.push(`<span className="${elementClass}">{${key}.toString()}</span>`);
+        break;
+      case 'boolean':
+        conditionalModifiers.push(`"${rootClass}--${toKebabCase(key)}": ${key}`);
+        break;
+      case 'enumeration':
+        modifiers.push(`\`${rootClass}--\${${key}}\``);
+        break;
+      case 'textTemplate':
+      case 'expression':
+        loadingKeys.push(key);
+        if (prop.returnType === 'Boolean') {
+          conditionalModifiers.push(
+            `"${rootClass}--${toKebabCase(
+              key
+            )}": ${key}?.status === ValueStatus.Available && ${key}.value === true`
+          );
+        } else {
+          children.push(`{${key}?.status === ValueStatus.Available && (
+                <span className="${elementClass}">{${formatDynamicValue(
+            `${key}.value`,
+            prop
+          )}}</span>
+            )}`);
+        }
+        break;
+      case 'attribute':
+        loadingKeys.push(key);
+        children.push(`{${key}?.status === ValueStatus.Available && (
+                <span className="${elementClass}">{${key}.displayValue}</span>
+            )}`);
+        break;
+      case 'icon':
+        children.push(`{${key}?.status === ValueStatus.Available && <Icon icon={${key}.value} />}`);
+        break;
+      case 'image':
+        children.push(`{${key}?.status === ValueStatus.Available && (
+                <img className="${elementClass}" src={${key}.value.uri} alt={${key}.value.altText} />
+            )}`);
+        break;
+      case 'file':
+        children.push(`{${key}?.status === ValueStatus.Available && (
+                <a className="${elementClass}" href={${key}.value.uri}>
+                    {${key}.value.name}
+                </a>
+            )}`);
+        break;
+      case 'association':
+        loadingKeys.push(key);
+        break;
+      case 'widgets':
+        children.push(`<div className="${elementClass}">{${key}}</div>`);
+        break;
+      case 'object':
+        children.push(`{${key}.map((_item, index) => (
+                <div key={index} className="${elementClass}-item" />
+            ))}`);
+        break;
+      case 'datasource':
+        loadingKeys.push(key);
+        children.push(
+          generateDatasourceJsx(
+            prop,
+            [...values, ...actions].filter((p) => p.dataSource === key),
+            rootClass
+          )
+        );
+        break;
+    }
+  }
+
+  for (const action of actions) {
+    const handler = `handle${toPascalCase(action.key.replace(/^on(?=[A-Z])/, ''))}`;
+    handlers.push(generateActionHandler(action, handler, isLinked(action)));
+    if (isLinked(action)) {
+      continue;
+    }
+
+    const domEvent = toDomEvent(action.key);
+    if (domEvent && !rootEvents[domEvent]) {
+      rootEvents[domEvent] = handler;
+    } else {
+      actionButtons.push(`<button type="button" className="${rootClass}__action" onClick={${handler}}>
+                    ${toJsxText(action.caption || action.key)}
+                </button>`);
+    }
+  }
+
+  if (actionButtons.length > 0) {
+    children.push(`<div className="${rootClass}__actions">
+                ${actionButtons.join('\n                ')}
+            </div>`);
+  }
+
+  if (loadingKeys.length > 0) {
+    conditionalModifiers.unshift(`"${rootClass}--loading": isLoading`);
+  }
+
+  const body = [];
+  if (loadingKeys.length > 0) {
+    body.push(
+      `    const isLoading = [${loadingKeys.join(
+        ', '
+      )}].some(loadable => loadable?.status === ValueStatus.Loading);`
+    );
+  }
+
+  const classArgs = [`"${rootClass}"`, ...modifiers];
+  if (conditionalModifiers.length > 0) {
+    classArgs.push(`{
+        ${conditionalModifiers.join(',\n        ')}
+    }`);
+  }
+  classArgs.push('className');
+  body.push(`    const rootClass = classNames(${classArgs.join(', ')});`);
+  body.push(...handlers);
+
+  const destructured = ['class: className', 'style', 'tabIndex', 'name'];
+  for (const p of [...values, ...actions]) {
+    if (!destructured.includes(p.key)) {
+      destructured.push(p.key);
+    }
+  }
+
+  const jsx = children.join('\n');
+  const imports = [
+    `import { ${[
+      'ReactElement',
+      'createElement',
+      ...(handlers.length > 0 ? ['useCallback'] : []),
+    ].join(', ')} } from "react";`,
+  ];
+  const mendixImports = ['ObjectItem', 'ValueStatus'].filter((type) =>
+    new RegExp(`\\b${type}\\b`).test(jsx + body.join(''))
+  );
+  if (mendixImports.length > 0) {
+    imports.push(`import { ${mendixImports.join(', ')} } from "mendix";`);
+  }
+  if (jsx.includes('<Icon ')) {
+    imports.push('import { Icon } from "mendix/components/web/Icon";');
+  }
+  imports.push(
+    `import { ${name}ContainerProps } from "../typings/${name}Props";`,
+    'import classNames from "classnames";'
+  );
+
+  const rootAttributes = [
+    'className={rootClass}',
+    'style={style}',
+    'tabIndex={tabIndex}',
+    'data-testid={name}',
+    ...Object.entries(rootEvents).map(([event, handler]) => `${event}={${handler}}`),
+  ];
+
+  const tsx = `${imports.join('\n')}
+
+import "./ui/${styleSheet}.css";
+
+export function ${name}({
+    ${destructured.join(',\n    ')}
+}: ${name}ContainerProps): ReactElement {
+${body.join('\n\n')}
+
+    return (
+        <div ${rootAttributes.join(' ')}>
+            ${children.length > 0 ? children.join('\n            ') : `<span>${name} Widget</span>`}
+        </div>
+    );
+}
+`;
+
+  files.write(`src/${name}.tsx`, tsx);
+}
+
+/**
+ * Renders the items of a datasource together with the properties linked to it
+ * through `dataSource` (list widgets, list attributes, list expressions and list actions).
+ */
+function generateDatasourceJsx(datasource, linked, rootClass) {
+  const itemContent = [];
+  let itemClick = '';
+  let itemClass = `"${rootClass}__item"`;
+
+  for (const prop of linked) {
+    const elementClass = `${rootClass}__${toKebabCase(prop.key)}`;
+
+    switch (prop.type) {
+      case 'widgets':
+        itemContent.push(`<div className="${elementClass}">{${prop.key}?.get(item)}</div>`);
+        break;
+      case 'attribute':
+        itemContent.push(
+          `<span className="${elementClass}">{${prop.key}?.get(item).displayValue}</span>`
+        );
+        break;
+      case 'textTemplate':
+      case 'expression':
+        itemContent.push(
+          `<span className="${elementClass}">{${formatDynamicValue(
+            `${prop.key}?.get(item).value`,
+            prop
+          )}}</span>`
+        );
+        break;
+      case 'selection':
+        itemClass = `{classNames("${rootClass}__item", {
+                        "${rootClass}__item--selected":
+                            ${prop.key}?.type === "Multi"
+                                ? ${prop.key}.selection.some(selected => selected.id === item.id)
+                                : ${prop.key}?.selection?.id === item.id
+                    })}`;
+        break;
+      case 'action':
+      case undefined: {
+        // Events carry no type; both execute per item through a ListActionValue
+        const handler = `handle${toPascalCase(prop.key.replace(/^on(?=[A-Z])/, ''))}`;
+        if (!itemClick && toDomEvent(prop.key) === 'onClick') {
+          itemClick = ` onClick={() => ${handler}(item)}`;
+        } else {
+          itemContent.push(`<button type="button" className="${rootClass}__action" onClick={() => ${handler}(item)}>
+                        ${toJsxText(prop.caption || prop.key)}
+                    </button>`);
+        }
+        break;
+      }
+    }
+  }
+
+  return `{${datasource.key}?.items?.map(item => (
+                <div key={item.id} className=${itemClass}${itemClick}>
+                    ${itemContent.join('\n                    ')}
+                </div>
+            ))}`;
+}
+
+/**
+ * Generates a guarded `execute()` handler for an action. Actions linked to a datasource
+ * are ListActionValues and resolve the ActionValue for the given item first.
+ */
+function generateActionHandler(action, handler, linked) {
+  // Actions with actionVariables take their arguments in execute()
+  const args = action.actionVariables?.length
+    ? `{ ${action.actionVariables.map((v) => `${v.key}: undefined`).join(', ')} }`
+    : '';
+
+  if (linked) {
+    return `    const ${handler} = useCallback(
+        (item: ObjectItem) => {
+            const action = ${action.key}?.get(item);
+            if (action?.canExecute && !action.isExecuting) {
+                action.execute(${args});
+            }
+        },
+        [${action.key}]
+    );`;
+  }
+
+  return `    const ${handler} = useCallback(() => {
+        if (${action.key}?.canExecute && !${action.key}.isExecuting) {
+            ${action.key}.execute(${args});
+        }
+    }, [${action.key}]);`;
+}
+
+/**
+ * Converts a DynamicValue read into a renderable expression based on its return type.
+ */
+function formatDynamicValue(expression, prop) {
+  switch (prop.type === 'expression' ? prop.returnType : 'String') {
+    case 'Integer':
+    case 'Decimal':
+      return `${expression}?.toString()`;
+    case 'DateTime':
+      return `${expression}?.toLocaleString()`;
+    case 'Boolean':
+      return `String(${expression})`;
+    default:
+      return expression;
+  }
+}
+
+/**
+ * Generates the React Native component of a native widget. It renders the same props as the
+ * web component with `View`, `Text` and `Pressable`, styled by `src/ui/styles.ts` merged with
+ * the styles Studio Pro passes in `style`. Modifier classes become conditional styles, and
+ * every element gets a `{name}${key}` testID.
+ * @returns {string[][]} The `[entry, ViewStyle|TextStyle|ImageStyle]` style entries it uses
+ */
+async function generateNativeComponent(files, config) {
+  const { name, properties = [], events = [] } = config;
+
+  // Same selection of props as the web component
+  const actions = [...properties.filter((p) => p.type === 'action'), ...events].filter(
+    (a) => !RESERVED_PROPS.has(a.key)
+  );
+  const values = properties.filter(
+    (p) => COMPONENT_TYPES.has(p.type) && !RESERVED_PROPS.has(p.key)
+  );
+  const datasourceKeys = new Set(values.filter((p) => p.type === 'datasource').map((p) => p.key));
+  const isLinked = (p) => datasourceKeys.has(p.dataSource);
+
+  const styles = [['container', 'ViewStyle']];
+  const style = (entry, type) => {
+    if (!styles.some(([existing]) => existing === entry)) {
+      styles.push([entry, type]);
+    }
+    return `styles.${entry}`;
+  };
+  const testId = (key) => `testID={\`\${name}$${key}\`}`;
+
+  const loadingKeys = [];
+  const conditionalStyles = [];
+  const handlers = [];
+  const used = new Set();
+  let rootPress = null;
+  const actionButtons = [];
+  const children = [];
+
+  for (const prop of values.filter((p) => !isLinked(p))) {
+    const { key, type } = prop;
+
+    switch (type) {
+      case 'string':
+      case 'integer':
+        children.push(`<Text style={${style(key, 'TextStyle')}} ${testId(key)}>
+                {${key}}
+            </Text>`);
+        break;
+      case 'decimal':
+        children.push(`<Text style={${style(key, 'TextStyle')}} ${testId(key)}>
+                {${key}.toString()}
+            </Text>`);
+        break;
+      case 'boolean':
+        conditionalStyles.push(`${key} && ${style(key, 'ViewStyle')}`);
+        break;
+      case 'enumeration':
+        // Enumerations drive no style by default; map their values to styles as needed
+        continue;
+      case 'textTemplate':
+      case 'expression':
+        loadingKeys.push(key);
+        if (prop.returnType === 'Boolean') {
+          conditionalStyles.push(
+            `${key}?.status === ValueStatus.Available && ${key}.value === true && ${style(
+              key,
+              'ViewStyle'
+            )}`
+          );
+        } else {
+          children.push(`{${key}?.status === ValueStatus.Available && (
+                <Text style={${style(key, 'TextStyle')}} ${testId(key)}>
+                    {${formatDynamicValue(`${key}.value`, prop)}}
+                </Text>
+            )}`);
+        }
+        break;
+      case 'attribute':
+        loadingKeys.push(key);
+        children.push(`{${key}?.status === ValueStatus.Available && (
+                <Text style={${style(key, 'TextStyle')}} ${testId(key)}>
+                    {${key}.displayValue}
+                </Text>
+            )}`);
+        break;
+      case 'icon':
+        children.push(`{${key}?.status === ValueStatus.Available && <Icon icon={${key}.value} />}`);
+        break;
+      case 'image':
+        children.push(`{${key}?.status === ValueStatus.Available && (
+                <Image source={${key}.value} style={${style(key, 'ImageStyle')}} ${testId(key)} />
+            )}`);
+        break;
+      case 'file': {
+        const handler = `handleOpen${toPascalCase(key)}`;
+        handlers.push(`    const ${handler} = useCallback(() => {
+        if (${key}?.status === ValueStatus.Available) {
+            Linking.openURL(${key}.value.uri);
+        }
+    }, [${key}]);`);
+        children.push(`{${key}?.status === ValueStatus.Available && (
+                <Text style={${style(key, 'TextStyle')}} ${testId(key)} onPress={${handler}}>
+                    {${key}.value.name}
+                </Text>
+            )}`);
+        break;
+      }
+      case 'association':
+        loadingKeys.push(key);
+        break;
+      case 'widgets':
+        children.push(`<View style={${style(key, 'ViewStyle')}} ${testId(key)}>
+                {${key}}
+            </View>`);
+        break;
+      case 'object':
+        children.push(`{${key}.map((_item, index) => (
+                <View key={index} style={${style(key, 'ViewStyle')}} />
+            ))}`);
+        break;
+      case 'datasource':
+        loadingKeys.push(key);
+        children.push(
+          generateNativeDatasourceJsx(
+            prop,
+            [...values, ...actions].filter((p) => p.dataSource === key),
+            style,
+            testId
+          )
+        );
+        break;
+    }
+    used.add(key);
+  }
+
+  for (const action of actions) {
+    const handler = `handle${toPascalCase(action.key.replace(/^on(?=[A-Z])/, ''))}`;
+    handlers.push(generateActionHandler(action, handler, isLinked(action)));
+    used.add(action.key);
+    if (isLinked(action)) {
+      continue;
+    }
+
+    // The first click event runs when the widget is pressed; the rest get buttons
+    if (!rootPress && toDomEvent(action.key) === 'onClick') {
+      rootPress = handler;
+    } else {
+      actionButtons.push(`<Pressable style={${style('action', 'ViewStyle')}} ${testId(
+        action.key
+      )} onPress={${handler}}>
+                    <Text style={${style('actionCaption', 'TextStyle')}}>${toJsxText(
+        action.caption || action.key
+      )}</Text>
+                </Pressable>`);
+    }
+  }
+
+  // Linked props are read inside the datasource items
+  for (const prop of values.filter(isLinked)) {
+    if (['widgets', 'attribute', 'textTemplate', 'expression', 'selection'].includes(prop.type)) {
+      used.add(prop.key);
+    }
+  }
+
+  if (actionButtons.length > 0) {
+    children.push(`<View style={${style('actions', 'ViewStyle')}}>
+                ${actionButtons.join('\n                ')}
+            </View>`);
+  }
+
+  if (loadingKeys.length > 0) {
+    conditionalStyles.unshift(`isLoading && ${style('loading', 'ViewStyle')}`);
+  }
+
+  const body = [`    const styles = mergeNativeStyles(default${name}Style, style);`];
+  if (loadingKeys.length > 0) {
+    body.push(
+      `    const isLoading = [${loadingKeys.join(
+        ', '
+      )}].some(loadable => loadable?.status === ValueStatus.Loading);`
+    );
+  }
+  body.push(...handlers);
+
+  const destructured = ['name', 'style'];
+  for (const p of [...values, ...actions]) {
+    if (used.has(p.key) && !destructured.includes(p.key)) {
+      destructured.push(p.key);
+    }
+  }
+
+  const rootStyle =
+    conditionalStyles.length > 0
+      ? `[styles.container, ${conditionalStyles.join(', ')}]`
+      : 'styles.container';
+  const root = rootPress ? 'Pressable' : 'View';
+  const rootAttributes = [
+    `style={${rootStyle}}`,
+    'testID={name}',
+    ...(rootPress ? [`onPress={${rootPress}}`] : []),
+  ];
+  const markup = `<${root} ${rootAttributes.join(' ')}>
+            ${children.length > 0 ? children.join('\n            ') : `<Text>${name} Widget</Text>`}
+        </${root}>`;
+
+  const code = markup + body.join('');
+  const components = ['Pressable', 'Text', 'View'].filter((component) =>
+    new RegExp(`<${component}[ >]`).test(markup)
+  );
+  const imports = [
+    `import { ${[
+      'ReactElement',
+      'createElement',
+      ...(handlers.length > 0 ? ['useCallback'] : []),
+    ].join(', ')} } from "react";`,
+    `import { ${[...(code.includes('Linking.') ? ['Linking'] : []), ...components].join(
+      ', '
+    )} } from "react-native";`,
+  ];
+  const mendixImports = ['ObjectItem', 'ValueStatus'].filter((type) =>
+    new RegExp(`\\b${type}\\b`).test(code)
+  );
+  if (mendixImports.length > 0) {
+    imports.push(`import { ${mendixImports.join(', ')} } from "mendix";`);
+  }
+  if (markup.includes('<Icon ')) {
+    imports.push('import { Icon } from "mendix/components/native/Icon";');
+  }
+  if (markup.includes('<Image ')) {
+    imports.push('import { Image } from "mendix/components/native/Image";');
+  }
+  imports.push(
+    'import { mergeNativeStyles } from "@mendix/pluggable-widgets-tools";',
+    `import { ${name}Props } from "../typings/${name}Props";`,
+    '',
+    `import { ${name}Style, default${name}Style } from "./ui/styles";`
+  );
+
+  const tsx = `${imports.join('\n')}
+
+export function ${name}({
+    ${destructured.join(',\n    ')}
+}: ${name}Props<${name}Style>): ReactElement {
+${body.join('\n\n')}
+
+    return (
+        ${markup}
+    );
+}
+`;
+
+  files.write(`src/${name}.tsx`, tsx);
+  return styles;
+}
+
+/**
+ * Native counterpart of generateDatasourceJsx: a `View` per item, or a `Pressable` when a
+ * click action runs on the item, with its selected state as a style.
+ */
+function generateNativeDatasourceJsx(datasource, linked, style, testId) {
+  const itemContent = [];
+  let itemPress = '';
+  let itemStyle = style('item', 'ViewStyle');
+
+  for (const prop of linked) {
+    switch (prop.type) {
+      case 'widgets':
+        itemContent.push(`<View style={${style(prop.key, 'ViewStyle')}} ${testId(prop.key)}>
+                        {${prop.key}?.get(item)}
+                    </View>`);
+        break;
+      case 'attribute':
+        itemContent.push(`<Text style={${style(prop.key, 'TextStyle')}} ${testId(prop.key)}>
+                        {${prop.key}?.get(item).displayValue}
+                    </Text>`);
+        break;
+      case 'textTemplate':
+      case 'expression':
+        itemContent.push(`<Text style={${style(prop.key, 'TextStyle')}} ${testId(prop.key)}>
+                        {${formatDynamicValue(`${prop.key}?.get(item).value`, prop)}}
+                    </Text>`);
+        break;
+      case 'selection':
+        itemStyle = `[
+                        styles.item,
+                        (${prop.key}?.type === "Multi"
+                            ? ${prop.key}.selection.some(selected => selected.id === item.id)
+                            : ${prop.key}?.selection?.id === item.id) && ${style(
+          'itemSelected',
+          'ViewStyle'
+        )}
+                    ]`;
+        break;
+      case 'action':
+      case undefined: {
+        // Events carry no type; both execute per item through a ListActionValue
+        const handler = `handle${toPascalCase(prop.key.replace(/^on(?=[A-Z])/, ''))}`;
+        if (!itemPress && toDomEvent(prop.key) === 'onClick') {
+          itemPress = ` onPress={() => ${handler}(item)}`;
+        } else {
+          itemContent.push(`<Pressable style={${style('action', 'ViewStyle')}} ${testId(
+            prop.key
+          )} onPress={() => ${handler}(item)}>
+                        <Text style={${style('actionCaption', 'TextStyle')}}>${toJsxText(
+            prop.caption || prop.key
+          )}</Text>
+                    </Pressable>`);
+        }
+        break;
+      }
+    }
+  }
+
+  const element = itemPress ? 'Pressable' : 'View';
+  return `{${datasource.key}?.items?.map(item => (
+                <${element} key={item.id} style={${itemStyle}} ${testId('item')}${itemPress}>
+                    ${itemContent.join('\n                    ')}
+                </${element}>
+            ))}`;
+}
+
+function toDomEvent(key) {
+  if (DOM_EVENTS.includes(key)) {
+    return key;
+  }
+  return /Click$/.test(key) ? 'onClick' : null;
+}
+
+export function toKebabCase(value) {
+  return value.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+function toPascalCase(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Generates the design-mode preview. It renders the same elements and classes as the
+ * component, filled with what Studio Pro knows at design time: the values typed into the
+ * properties, enumeration captions, drop zones for widgets properties and the data source
+ * caption. Empty properties show their caption as a placeholder.
+ */
+async function generatePreview(files, config) {
+  const { name, displayName, properties = [], events = [], styleSheet = name } = config;
+  const rootClass = `widget-${name.toLowerCase()}`;
+
+  const actions = [...properties.filter((p) => p.type === 'action'), ...events].filter(
+    (a) => !RESERVED_PROPS.has(a.key)
+  );
+  const values = properties.filter(
+    (p) => COMPONENT_TYPES.has(p.type) && !RESERVED_PROPS.has(p.key)
+  );
+  const datasourceKeys = new Set(values.filter((p) => p.type === 'datasource').map((p) => p.key));
+  const isLinked = (p) => datasourceKeys.has(p.dataSource);
+
+  const captionMaps = [];
+  const modifiers = [];
+  const conditionalModifiers = [];
+  const children = [];
+  const actionButtons = [];
+
+  for (const prop of values.filter((p) => !isLinked(p))) {
+    const { key, type } = prop;
+    const elementClass = `${rootClass}__${toKebabCase(key)}`;
+
+    switch (type) {
+      case 'boolean':
+        conditionalModifiers.push(`"${rootClass}--${toKebabCase(key)}": props.${key}`);
+        break;
+      case 'enumeration':
+        modifiers.push(`\`${rootClass}--\${props.${key}}\``);
+        captionMaps.push(`const ${key}Captions: Record<${getEnumTypeName(prop)}, string> = {
+${prop.options.map((o) => `    ${toJsString(o.key)}: ${toJsString(o.caption)}`).join(',\n')}
+};`);
+        children.push(`<span className="${elementClass}">{${key}Captions[props.${key}]}</span>`);
+        break;
+      case 'expression':
+        // Boolean expressions only toggle a modifier class at runtime
+        if (prop.returnType !== 'Boolean') {
+          children.push(generatePreviewText(prop, elementClass));
+        }
+        break;
+      case 'string':
+      case 'integer':
+      case 'decimal':
+      case 'textTemplate':
+      case 'attribute':
+      case 'file':
+        children.push(generatePreviewText(prop, elementClass));
+        break;
+      case 'icon':
+        children.push(`{props.${key}?.type === "image" && <img className="${elementClass}" src={props.${key}.iconUrl} alt="" />}
+            {(props.${key}?.type === "glyph" || props.${key}?.type === "icon") && (
+                <span className={classNames("${elementClass}", props.${key}.iconClass, { glyphicon: props.${key}.type === "glyph" })} />
+            )}`);
+        break;
+      case 'image':
+        children.push(`{props.${key}?.type === "static" ? (
+                <img className="${elementClass}" src={props.${key}.imageUrl} alt="" />
+            ) : (
+                <span className="${elementClass}">${toJsxText(`[${prop.caption || key}]`)}</span>
+            )}`);
+        break;
+      case 'widgets':
+        children.push(generatePreviewDropZone(prop, elementClass));
+        break;
+      case 'datasource':
+        children.push(
+          generateDatasourcePreviewJsx(
+            prop,
+            [...values, ...actions].filter((p) => p.dataSource === prop.key),
+            rootClass
+          )
+        );
+        break;
+    }
+  }
+
+  // Like the component: the first action per DOM event goes on the root, the rest get buttons
+  const rootEvents = new Set();
+  for (const action of actions.filter((a) => !isLinked(a))) {
+    const domEvent = toDomEvent(action.key);
+    if (domEvent && !rootEvents.has(domEvent)) {
+      rootEvents.add(domEvent);
+    } else {
+      actionButtons.push(`<button type="button" className="${rootClass}__action">
+                    ${toJsxText(action.caption || action.key)}
+                </button>`);
+    }
+  }
+  if (actionButtons.length > 0) {
+    children.push(`<div className="${rootClass}__actions">
+                ${actionButtons.join('\n                ')}
+            </div>`);
+  }
+
+  const classArgs = [`"${rootClass}"`, ...modifiers];
+  if (conditionalModifiers.length > 0) {
+    classArgs.push(`{
+        ${conditionalModifiers.join(',\n        ')}
+    }`);
+  }
+  classArgs.push('props.class');
+
+  const enumTypes = values
+    .filter((p) => p.type === 'enumeration' && !isLinked(p))
+    .map(getEnumTypeName);
+  const tsx = `import { ReactElement, createElement } from "react";
+import classNames from "classnames";
+import { ${[...enumTypes, `${name}PreviewProps`].join(', ')} } from "../typings/${name}Props";
+${captionMaps.length > 0 ? `\n${captionMaps.join('\n\n')}\n` : ''}
+export function preview(props: ${name}PreviewProps): ReactElement {
+    const rootClass = classNames(${classArgs.join(', ')});
+
+    return (
+        <div className={rootClass} style={props.styleObject}>
+            ${children.length > 0 ? children.join('\n            ') : toJsxText(displayName)}
+        </div>
+    );
+}
+
+// Studio Pro styles the preview with the widget's own CSS
+export function getPreviewCss(): string {
+    return require("./ui/${styleSheet}.css");
+}
+`;
+
+  files.write(`src/${name}.editorPreview.tsx`, tsx);
+}
+
+// Design-time value of a text-like property, or its caption when it is still empty
+function generatePreviewText(prop, elementClass) {
+  const { key, type } = prop;
+  const placeholder = toJsString(`[${prop.caption || key}]`);
+  switch (type) {
+    case 'integer':
+    case 'decimal':
+      return `<span className="${elementClass}">{props.${key} ?? ${placeholder}}</span>`;
+    case 'attribute':
+    case 'expression':
+      // Studio Pro shows bound attributes and expressions in brackets
+      return `<span className="${elementClass}">{props.${key} ? \`[\${props.${key}}]\` : ${placeholder}}</span>`;
+    case 'file':
+      return `<a className="${elementClass}">${toJsxText(`[${prop.caption || key}]`)}</a>`;
+    default:
+      return `<span className="${elementClass}">{props.${key} || ${placeholder}}</span>`;
+  }
+}
+
+// A drop zone Studio Pro renders for a widgets property, at the given JSX indentation
+function generatePreviewDropZone(prop, elementClass, indent = '            ') {
+  return `<props.${prop.key}.renderer caption={${toJsString(prop.caption || prop.key)}}>
+${indent}    <div className="${elementClass}" />
+${indent}</props.${prop.key}.renderer>`;
+}
+
+/**
+ * Renders one sample item of a datasource with the properties linked to it, under the
+ * caption of the selected data source.
+ */
+function generateDatasourcePreviewJsx(datasource, linked, rootClass) {
+  const { key } = datasource;
+  const itemContent = [];
+
+  for (const prop of linked) {
+    const elementClass = `${rootClass}__${toKebabCase(prop.key)}`;
+    switch (prop.type) {
+      case 'widgets':
+        itemContent.push(generatePreviewDropZone(prop, elementClass, '                '));
+        break;
+      case 'attribute':
+      case 'textTemplate':
+      case 'expression':
+        itemContent.push(generatePreviewText(prop, elementClass));
+        break;
+      case 'action':
+      case undefined:
+        if (toDomEvent(prop.key) !== 'onClick') {
+          itemContent.push(`<button type="button" className="${rootClass}__action">
+                    ${toJsxText(prop.caption || prop.key)}
+                </button>`);
+        }
+        break;
+    }
+  }
+
+  return `<div className="${rootClass}__${toKebabCase(key)}-caption">
+                {props.${key} && "caption" in props.${key} ? props.${key}.caption : ${toJsString(
+    `[${datasource.caption || key}]`
+  )}}
+            </div>
+            <div className="${rootClass}__item">
+                ${itemContent.join('\n                ')}
+            </div>`;
+}
+
+/**
+ * Generates `getProperties` and `check()` for Studio Pro. `visibleWhen` rules and datasource
+ * links decide which properties the properties pane hides; `requiredWhen` rules become
+ * design-time errors. Both only compare the values of top-level properties.
+ */
+async function generateEditorConfig(files, config) {
+  const { name, properties = [], events = [] } = config;
+  const items = [...properties, ...events];
+  const byKey = new Map(properties.map((p) => [p.key, p]));
+
+  // One hidePropertiesIn call per condition, in the order the rules first appear
+  const hidden = new Map();
+  const hide = (condition, key) => hidden.set(condition, [...(hidden.get(condition) || []), key]);
+  for (const item of items.filter((i) => i.visibleWhen)) {
+    hide(generateConditionCheck(item.visibleWhen, byKey, true), item.key);
+  }
+  // Properties linked to a datasource have nothing to bind to until it is selected
+  for (const item of items.filter((i) => byKey.get(i.dataSource)?.type === 'datasource')) {
+    hide(`!values.${item.dataSource}`, item.key);
+  }
+
+  const visibility = [...hidden].map(
+    ([condition, keys]) => `    if (${condition}) {
+        hidePropertiesIn(defaultProperties, values, [${keys.map((k) => toJsString(k)).join(', ')}]);
+    }`
+  );
+
+  const checks = items
+    .filter((i) => i.requiredWhen)
+    .map((item) => {
+      const { key, equals, message } = item.requiredWhen;
+      const other = byKey.get(key);
+      const text =
+        message ||
+        `${item.caption || item.key} is required when ${other.caption || key} is ${describeValue(
+          other,
+          equals
+        )}`;
+      return `    if (${generateConditionCheck(item.requiredWhen, byKey)} && ${generateEmptyCheck(
+        item
+      )}) {
+        errors.push({
+            property: ${toJsString(item.key)},
+            message: ${toJsString(text)}
+        });
+    }`;
+    });
+
+  const toolsImports = ['Properties', ...(visibility.length > 0 ? ['hidePropertiesIn'] : [])];
+  const valuesParam = (used) => (used ? 'values' : '_values');
+
+  const ts = `import { ${toolsImports.join(', ')} } from "@mendix/pluggable-widgets-tools";
+import { ${name}PreviewProps } from "../typings/${name}Props";
+
+export type Problem = {
+    property?: string;
+    severity?: "error" | "warning" | "deprecation";
+    message: string;
+};
+
+export function getProperties(${valuesParam(
+    visibility.length > 0
+  )}: ${name}PreviewProps, defaultProperties: Properties): Properties {
+${visibility.map((rule) => `${rule}\n`).join('')}    return defaultProperties;
+}
+
+export function check(${valuesParam(checks.length > 0)}: ${name}PreviewProps): Problem[] {
+    const errors: Problem[] = [];
+${checks.map((rule) => `${rule}\n`).join('')}    return errors;
+}
+`;
+
+  files.write(`src/${name}.editorConfig.ts`, ts);
+}
+
+// The design-time test for `{ key, equals }` against the preview value of `key`, or its opposite
+function generateConditionCheck({ key, equals }, byKey, negate = false) {
+  if (byKey.get(key).type === 'boolean') {
+    return equals !== negate ? `values.${key}` : `!values.${key}`;
+  }
+  const value = typeof equals === 'string' ? toJsString(equals) : equals;
+  return `values.${key} ${negate ? '!==' : '==='} ${value}`;
+}
+
+// Whether a property is still empty at design time, by the shape of its preview value
+function generateEmptyCheck({ key, type }) {
+  switch (type) {
+    case 'integer':
+    case 'decimal':
+      return `values.${key} === null`;
+    case 'widgets':
+      return `values.${key}.widgetCount === 0`;
+    case 'selection':
+      return `values.${key} === "None"`;
+    case 'object':
+      return `values.${key}.length === 0`;
+    default:
+      return `!values.${key}`;
+  }
+}
+
+// A compared value as Studio Pro shows it: enumeration captions, Yes / No for booleans
+function describeValue(prop, value) {
+  if (prop.type === 'enumeration') {
+    return prop.options.find((o) => o.key === value)?.caption || value;
+  }
+  if (prop.type === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+}
+
+// Mock builders for the spec, each with the builders, mendix types and other imports it needs
+const TEST_BUILDERS = [
+  {
+    name: 'AttributeValue',
+    big: true,
+    code: `type AttributeValue = string | boolean | Date | Big;`,
+  },
+  {
+    name: 'obj',
+    mendix: ['GUID', 'ObjectItem'],
+    code: `function obj(id: string): ObjectItem {
+    return { id: id as GUID };
+}`,
+  },
+  {
+    name: 'dynamicValue',
+    mendix: ['DynamicValue', 'ValueStatus'],
+    code: `function dynamicValue<T>(value: T): DynamicValue<T> {
+    return { status: ValueStatus.Available, value };
+}`,
+  },
+  {
+    name: 'loadingValue',
+    mendix: ['DynamicValue', 'ValueStatus'],
+    code: `function loadingValue<T>(): DynamicValue<T> {
+    return { status: ValueStatus.Loading, value: undefined };
+}`,
+  },
+  {
+    name: 'EditableValueBuilder',
+    requires: ['AttributeValue'],
+    mendix: ['EditableValue', 'Option', 'ValueStatus'],
+    code: `class EditableValueBuilder<T extends AttributeValue> {
+    private value: Option<T>;
+    private status = ValueStatus.Available;
+    private readOnly = false;
+
+    withValue(value: Option<T>): this {
+        this.value = value;
+        return this;
+    }
+
+    isLoading(): this {
+        this.status = ValueStatus.Loading;
+        return this;
+    }
+
+    isReadOnly(): this {
+        this.readOnly = true;
+        return this;
+    }
+
+    build(): EditableValue<T> {
+        return {
+            status: this.status,
+            value: this.value,
+            displayValue: this.value === undefined ? "" : String(this.value),
+            validation: undefined,
+            readOnly: this.readOnly || this.status !== ValueStatus.Available,
+            isList: false,
+            formatter: { format: value => (value === undefined ? "" : String(value)), parse: () => ({ valid: false }) },
+            setFormatter: jest.fn(),
+            setValidator: jest.fn(),
+            setValue: jest.fn(),
+            setTextValue: jest.fn()
+        };
+    }
+}`,
+  },
+  {
+    name: 'actionValue',
+    code: `function actionValue(canExecute = true) {
+    return { canExecute, isExecuting: false, execute: jest.fn() };
+}`,
+  },
+  {
+    name: 'listValue',
+    mendix: ['ListValue', 'ObjectItem', 'ValueStatus'],
+    code: `function listValue(items: ObjectItem[], status: ValueStatus = ValueStatus.Available): ListValue {
+    return {
+        status,
+        items: status === ValueStatus.Available ? items : undefined,
+        offset: 0,
+        limit: items.length,
+        totalCount: items.length,
+        hasMoreItems: false,
+        sortOrder: [],
+        filter: undefined,
+        setOffset: jest.fn(),
+        setLimit: jest.fn(),
+        requestTotalCount: jest.fn(),
+        setSortOrder: jest.fn(),
+        setFilter: jest.fn(),
+        reload: jest.fn()
+    };
+}`,
+  },
+  {
+    name: 'listActionValue',
+    requires: ['actionValue'],
+    mendix: ['ObjectItem'],
+    code: `function listActionValue(action = actionValue()) {
+    return { get: jest.fn((_item: ObjectItem) => action) };
+}`,
+  },
+  {
+    name: 'listExpressionValue',
+    requires: ['AttributeValue', 'dynamicValue'],
+    mendix: ['ListExpressionValue'],
+    code: `function listExpressionValue<T extends AttributeValue>(value: T): ListExpressionValue<T> {
+    return { get: () => dynamicValue(value) };
+}`,
+  },
+  {
+    name: 'listAttributeValue',
+    requires: ['AttributeValue'],
+    mendix: ['EditableValue', 'ListAttributeValue'],
+    code: `function listAttributeValue<T extends AttributeValue>(value: EditableValue<T>): ListAttributeValue<T> {
+    return {
+        id: "attribute" as ListAttributeValue["id"],
+        type: "String",
+        sortable: false,
+        filterable: false,
+        formatter: value.formatter,
+        universe: undefined,
+        isList: false,
+        get: () => value
+    };
+}`,
+  },
+  {
+    name: 'listWidgetValue',
+    react: ['ReactNode'],
+    mendix: ['ListWidgetValue'],
+    code: `function listWidgetValue(content: ReactNode): ListWidgetValue {
+    return { get: () => content };
+}`,
+  },
+  {
+    name: 'referenceValue',
+    mendix: ['ReferenceValue', 'ValueStatus'],
+    code: `function referenceValue(): ReferenceValue {
+    return {
+        type: "Reference",
+        status: ValueStatus.Available,
+        value: undefined,
+        readOnly: false,
+        validation: undefined,
+        setValue: jest.fn(),
+        setValidator: jest.fn()
+    };
+}`,
+  },
+  {
+    name: 'referenceSetValue',
+    mendix: ['ReferenceSetValue', 'ValueStatus'],
+    code: `function referenceSetValue(): ReferenceSetValue {
+    return {
+        type: "ReferenceSet",
+        status: ValueStatus.Available,
+        value: [],
+        readOnly: false,
+        validation: undefined,
+        setValue: jest.fn(),
+        setValidator: jest.fn()
+    };
+}`,
+  },
+  {
+    name: 'listReferenceValue',
+    requires: ['dynamicValue', 'obj'],
+    mendix: ['ListReferenceValue', 'ObjectItem'],
+    code: `function listReferenceValue(): ListReferenceValue {
+    return {
+        type: "Reference",
+        id: "association" as ListReferenceValue["id"],
+        filterable: false,
+        get: () => dynamicValue(obj("1"))
+    };
+}`,
+  },
+  {
+    name: 'listReferenceSetValue',
+    requires: ['dynamicValue'],
+    mendix: ['ListReferenceSetValue', 'ObjectItem'],
+    code: `function listReferenceSetValue(): ListReferenceSetValue {
+    return {
+        type: "ReferenceSet",
+        id: "association" as ListReferenceSetValue["id"],
+        filterable: false,
+        get: () => dynamicValue<ObjectItem[]>([])
+    };
+}`,
+  },
+];
+
+/**
+ * Generates `src/__tests__/{Name}.spec.tsx`, a Jest + React Testing Library suite for the
+ * component. Every prop gets a value from a mock builder, and the tests check what the component
+ * renders for it: text and modifier classes, the loading state, the items of datasources and the
+ * `execute()` calls of actions and events. Only the builders the widget needs are written.
+ * Native widgets use React Native Testing Library instead, finding elements by testID and
+ * checking styles where the web suite checks classes.
+ */
+async function generateUnitTests(files, config) {
+  const { name, properties = [], events = [], platform } = config;
+  const native = platform === 'native';
+  const rootClass = `widget-${name.toLowerCase()}`;
+  const testId = `${name.charAt(0).toLowerCase()}${name.slice(1)}1`;
+  const propsType = native ? `${name}Props<${name}Style>` : `${name}ContainerProps`;
+  const defaultStyle = `default${name}Style`;
+
+  // Same selection of props as the component
+  const actions = [...properties.filter((p) => p.type === 'action'), ...events].filter(
+    (a) => !RESERVED_PROPS.has(a.key)
+  );
+  const values = properties.filter(
+    (p) => COMPONENT_TYPES.has(p.type) && !RESERVED_PROPS.has(p.key)
+  );
+  const datasourceKeys = new Set(values.filter((p) => p.type === 'datasource').map((p) => p.key));
+  const isLinked = (p) => datasourceKeys.has(p.dataSource);
+
+  const used = new Set();
+  const extraMendix = new Set();
+  const use = (builder) => {
+    used.add(builder);
+    return builder;
+  };
+  const elementClass = (key) => `${rootClass}__${toKebabCase(key)}`;
+  const elementId = (key) => toJsString(`${testId}$${key}`);
+
+  const defaults = native
+    ? [`name: ${toJsString(testId)}`, 'style: []']
+    : [`name: ${toJsString(testId)}`, 'class: ""', 'tabIndex: 0'];
+  for (const prop of [...values, ...actions]) {
+    const mock = generateMockValue(prop, isLinked(prop), use, extraMendix, native);
+    if (mock !== null) {
+      defaults.push(`${prop.key}: ${mock}`);
+    }
+  }
+
+  const tests = [
+    `    it("renders with its name as test id", () => {
+        const { root } = renderWidget();
+        ${
+          native
+            ? 'expect(root).toBeOnTheScreen();'
+            : `expect(root.classList.contains(${toJsString(rootClass)})).toBe(true);`
+        }
+    });`,
+  ];
+  const test = (title, lines) =>
+    tests.push(`    it(${toJsString(title)}, () => {
+        ${lines.join('\n        ')}
+    });`);
+  const caption = (prop) => prop.caption || prop.key;
+
+  // Text, modifiers and media of the props rendered outside datasources
+  for (const prop of values.filter((p) => !isLinked(p))) {
+    const { key, type } = prop;
+    const text = renderedSampleText(prop);
+    if (text !== null && type !== 'datasource') {
+      test(
+        `shows ${caption(prop)}`,
+        native
+          ? [
+              'renderWidget();',
+              `expect(screen.getByTestId(${elementId(key)})).toHaveTextContent(${toJsString(
+                text
+              )});`,
+            ]
+          : [
+              'const { container } = renderWidget();',
+              `expect(container.querySelector(${toJsString(
+                `.${elementClass(key)}`
+              )})?.textContent).toBe(${toJsString(text)});`,
+            ]
+      );
+    }
+
+    if (type === 'boolean' || (type === 'expression' && prop.returnType === 'Boolean')) {
+      const on = type === 'boolean' ? 'true' : `${use('dynamicValue')}(true)`;
+      if (native) {
+        test(`applies the ${key} style while ${caption(prop)} is on`, [
+          `const { root } = renderWidget({ ${key}: ${on}, style: [{ ...${defaultStyle}, ${key}: { borderWidth: 2 } }] });`,
+          'expect(root).toHaveStyle({ borderWidth: 2 });',
+        ]);
+      } else {
+        test(`adds the --${toKebabCase(key)} modifier while ${caption(prop)} is on`, [
+          `const { root } = renderWidget({ ${key}: ${on} });`,
+          `expect(root.classList.contains(${toJsString(
+            `${rootClass}--${toKebabCase(key)}`
+          )})).toBe(true);`,
+        ]);
+      }
+    }
+
+    if (type === 'enumeration' && !native) {
+      const option = prop.options[prop.options.length - 1].key;
+      test(`adds a modifier for the selected ${caption(prop)}`, [
+        `const { root } = renderWidget({ ${key}: ${toJsString(option)} });`,
+        `expect(root.classList.contains(${toJsString(`${rootClass}--${option}`)})).toBe(true);`,
+      ]);
+    }
+
+    if (native && type === 'image') {
+      test(`shows ${caption(prop)}`, [
+        'renderWidget();',
+        `expect(screen.getByTestId(${elementId(key)}).props.source).toEqual({ uri: ${toJsString(
+          sampleUri(prop)
+        )} });`,
+      ]);
+    } else if (native && type === 'file') {
+      test(`opens ${caption(prop)} when pressed`, [
+        'renderWidget();',
+        `fireEvent.press(screen.getByTestId(${elementId(key)}));`,
+        `expect(Linking.openURL).toHaveBeenCalledWith(${toJsString(sampleUri(prop))});`,
+      ]);
+    } else if (type === 'image' || type === 'file') {
+      const [element, attribute] = type === 'image' ? ['img', 'src'] : ['a', 'href'];
+      test(`links ${caption(prop)}`, [
+        'const { container } = renderWidget();',
+        `expect(container.querySelector(${toJsString(
+          `${element}.${elementClass(key)}`
+        )})?.getAttribute(${toJsString(attribute)})).toBe(${toJsString(sampleUri(prop))});`,
+      ]);
+    }
+  }
+
+  // The loading modifier, driven by the first prop that can be loading
+  const loadable = values.find(
+    (p) =>
+      !isLinked(p) && ['textTemplate', 'expression', 'attribute', 'datasource'].includes(p.type)
+  );
+  if (loadable) {
+    test(`marks the widget as loading while ${caption(loadable)} loads`, [
+      `const { root } = renderWidget({ ${loadable.key}: ${generateLoadingValue(loadable, use)} });`,
+      native
+        ? `expect(root).toHaveStyle(${defaultStyle}.loading);`
+        : `expect(root.classList.contains(${toJsString(`${rootClass}--loading`)})).toBe(true);`,
+    ]);
+  }
+
+  // Datasource items with their linked props and actions
+  for (const datasource of values.filter((p) => p.type === 'datasource')) {
+    const linked = [...values, ...actions].filter((p) => p.dataSource === datasource.key);
+    const itemSelector = toJsString(`.${rootClass}__item`);
+    const queryItems = native
+      ? `const items = screen.getAllByTestId(${elementId('item')});`
+      : `const items = container.querySelectorAll(${itemSelector});`;
+    const renderItems = native ? 'renderWidget' : 'const { container } = renderWidget';
+    const lines = [
+      `${renderItems}({ ${datasource.key}: ${use('listValue')}([${use('obj')}("1"), obj("2")]) });`,
+      queryItems,
+      'expect(items).toHaveLength(2);',
+    ];
+    for (const prop of linked.filter((p) => p.type !== 'action' && p.type !== undefined)) {
+      const text = renderedSampleText(prop);
+      if (text !== null) {
+        lines.push(
+          native
+            ? `expect(within(items[0]).getByTestId(${elementId(
+                prop.key
+              )})).toHaveTextContent(${toJsString(text)});`
+            : `expect(items[0].querySelector(${toJsString(
+                `.${elementClass(prop.key)}`
+              )})?.textContent).toBe(${toJsString(text)});`
+        );
+      }
+    }
+    test(`renders an item per object of ${caption(datasource)}`, lines);
+
+    // Mirrors generateDatasourceJsx: the first click action runs on the item, others get buttons
+    let itemClick = false;
+    let button = 0;
+    for (const action of linked.filter((p) => p.type === 'action' || p.type === undefined)) {
+      let trigger;
+      if (!itemClick && toDomEvent(action.key) === 'onClick') {
+        itemClick = true;
+        trigger = native ? 'fireEvent.press(items[1]);' : 'fireEvent.click(items[1]);';
+      } else if (native) {
+        trigger = `fireEvent.press(within(items[1]).getByTestId(${elementId(action.key)}));`;
+      } else {
+        trigger = `fireEvent.click(items[1].querySelectorAll(${toJsString(
+          `.${rootClass}__action`
+        )})[${button++}]);`;
+      }
+      test(`runs the ${caption(action)} action for the clicked object of ${caption(datasource)}`, [
+        `const action = ${use('actionValue')}();`,
+        `const ${action.key} = ${use('listActionValue')}(action);`,
+        'const objects = [obj("1"), obj("2")];',
+        `${renderItems}({ ${datasource.key}: listValue(objects), ${action.key} });`,
+        queryItems,
+        trigger,
+        `expect(${action.key}.get).toHaveBeenCalledWith(objects[1]);`,
+        'expect(action.execute).toHaveBeenCalledTimes(1);',
+      ]);
+    }
+  }
+
+  // Mirrors generateComponent: one root handler per DOM event, buttons for the rest. Native
+  // components only handle the first click event on the root
+  const rootEvents = new Set();
+  let button = 0;
+  let guarded = false;
+  for (const action of actions.filter((a) => !isLinked(a))) {
+    const domEvent = toDomEvent(action.key);
+    const onRoot = native
+      ? domEvent === 'onClick' && rootEvents.size === 0
+      : domEvent && !rootEvents.has(domEvent);
+    let setup;
+    let trigger;
+    if (onRoot) {
+      rootEvents.add(domEvent);
+      const method = native ? 'press' : domEvent.charAt(2).toLowerCase() + domEvent.slice(3);
+      setup = `const { root } = renderWidget({ ${action.key} });`;
+      trigger = `fireEvent.${method}(root);`;
+    } else if (native) {
+      setup = `renderWidget({ ${action.key} });`;
+      trigger = `fireEvent.press(screen.getByTestId(${elementId(action.key)}));`;
+    } else {
+      setup = `const { container } = renderWidget({ ${action.key} });`;
+      trigger = `fireEvent.click(container.querySelectorAll(${toJsString(
+        `.${rootClass}__actions .${rootClass}__action`
+      )})[${button++}]);`;
+    }
+
+    test(`runs the ${caption(action)} action`, [
+      `const ${action.key} = ${use('actionValue')}();`,
+      setup,
+      trigger,
+      `expect(${action.key}.execute).toHaveBeenCalledTimes(1);`,
+    ]);
+    // The canExecute guard is the same for every action; one test covers it
+    if (!guarded) {
+      guarded = true;
+      test(`does not run the ${caption(action)} action while it cannot execute`, [
+        `const ${action.key} = actionValue(false);`,
+        setup,
+        trigger,
+        `expect(${action.key}.execute).not.toHaveBeenCalled();`,
+      ]);
+    }
+  }
+
+  // Builders in declaration order, with the builders they depend on
+  const needed = new Set();
+  const add = (builderName) => {
+    const builder = TEST_BUILDERS.find((b) => b.name === builderName);
+    (builder.requires || []).forEach(add);
+    needed.add(builder);
+  };
+  [...used].forEach(add);
+  const builders = TEST_BUILDERS.filter((b) => needed.has(b));
+
+  const body = `${defaults.join(',\n        ')}`;
+  const mendixTypes = [
+    ...new Set([...builders.flatMap((b) => b.mendix || []), ...extraMendix]),
+  ].sort();
+  const reactTypes = ['createElement', ...builders.flatMap((b) => b.react || [])];
+  const usesBig = builders.some((b) => b.big) || body.includes('new Big(');
+  const code = tests.join('\n\n');
+  const queries = [
+    'render',
+    'screen',
+    ...(code.includes('fireEvent.') ? ['fireEvent'] : []),
+    ...(code.includes('within(') ? ['within'] : []),
+  ].sort();
+  const reactNative = [
+    ...(code.includes('Linking.') ? ['Linking'] : []),
+    ...(body.includes('<Text>') ? ['Text'] : []),
+  ];
+
+  const imports = [
+    `import { ${reactTypes.join(', ')} } from "react";`,
+    ...(reactNative.length > 0
+      ? [`import { ${reactNative.join(', ')} } from "react-native";`]
+      : []),
+    `import { ${queries.join(', ')} } from "@testing-library/${
+      native ? 'react-native' : 'react'
+    }";`,
+    ...(mendixTypes.length > 0 ? [`import { ${mendixTypes.join(', ')} } from "mendix";`] : []),
+    ...(usesBig ? ['import { Big } from "big.js";'] : []),
+  ];
+  const localImports = [
+    `import { ${
+      native ? `${name}Props` : `${name}ContainerProps`
+    } } from "../../typings/${name}Props";`,
+    `import { ${name} } from "../${name}";`,
+    ...(native
+      ? [
+          `import { ${[`${name}Style`, ...(code.includes(defaultStyle) ? [defaultStyle] : [])].join(
+            ', '
+          )} } from "../ui/styles";`,
+        ]
+      : []),
+  ];
+
+  const spec = `${imports.join('\n')}
+
+${localImports.join('\n')}
+${
+  builders.length > 0
+    ? `
+// Mock builders for the values Mendix passes to the widget at runtime
+
+${builders.map((b) => b.code).join('\n\n')}
+`
+    : ''
+}
+function defaultProps(): ${propsType} {
+    return {
+        ${body}
+    };
+}
+
+function renderWidget(overrides: Partial<${propsType}> = {}) {
+    const result = render(<${name} {...defaultProps()} {...overrides} />);
+    return { ...result, root: screen.getByTestId(${toJsString(testId)}) };
+}
+
+describe(${toJsString(name)}, () => {
+${code}
+});
+`;
+
+  files.write(`src/__tests__/${name}.spec.tsx`, spec);
+}
+
+/**
+ * Returns the mock a prop gets in defaultProps(), or null to leave an optional prop unset.
+ */
+function generateMockValue(prop, linked, use, mendixTypes, native = false) {
+  const sample = generateSample(prop);
+
+  switch (prop.type) {
+    case 'string':
+    case 'boolean':
+    case 'integer':
+    case 'decimal':
+    case 'enumeration':
+      return sample;
+    case 'textTemplate':
+    case 'expression':
+      return linked
+        ? `${use('listExpressionValue')}(${sample})`
+        : `${use('dynamicValue')}(${sample})`;
+    case 'attribute': {
+      const editable = `new ${use('EditableValueBuilder')}<${attributeValueType(
+        prop
+      )}>().withValue(${sample}).build()`;
+      return linked ? `${use('listAttributeValue')}(${editable})` : editable;
+    }
+    case 'datasource':
+      return `${use('listValue')}([])`;
+    case 'widgets': {
+      const element = native ? 'Text' : 'span';
+      const content = `<${element}>${toJsxText(prop.caption || prop.key)}</${element}>`;
+      return linked ? `${use('listWidgetValue')}(${content})` : content;
+    }
+    case 'icon': {
+      const type = native ? 'NativeIcon' : 'WebIcon';
+      mendixTypes.add(type);
+      return `${use('dynamicValue')}<${type}>({ type: "glyph", iconClass: "glyphicon-star" })`;
+    }
+    case 'image': {
+      const type = native ? 'NativeImage' : 'WebImage';
+      mendixTypes.add(type);
+      return `${use('dynamicValue')}<${type}>({ uri: ${toJsString(sampleUri(prop))} })`;
+    }
+    case 'file':
+      mendixTypes.add('FileValue');
+      return `${use('dynamicValue')}<FileValue>({ uri: ${toJsString(
+        sampleUri(prop)
+      )}, name: ${toJsString(sampleUri(prop).split('/').pop())} })`;
+    case 'association': {
+      if (!prop.required) {
+        return null;
+      }
+      const type = (prop.associationTypes || ['Reference'])[0];
+      const builder = `${linked ? 'list' : ''}${type}Value`;
+      return `${use(builder.charAt(0).toLowerCase() + builder.slice(1))}()`;
+    }
+    case 'object':
+      return '[]';
+    case 'action':
+    case undefined:
+      return linked ? `${use('listActionValue')}()` : `${use('actionValue')}()`;
+    default:
+      // Selections are optional and need the datasource's objects
+      return null;
+  }
+}
+
+// A loading value of the same type as the prop's mock
+function generateLoadingValue(prop, use) {
+  switch (prop.type) {
+    case 'attribute':
+      return `new ${use('EditableValueBuilder')}<${attributeValueType(
+        prop
+      )}>().isLoading().build()`;
+    case 'datasource':
+      return `${use('listValue')}([], ValueStatus.Loading)`;
+    default:
+      return `${use('loadingValue')}<${
+        prop.type === 'expression' ? VALUE_TYPES[prop.returnType || 'String'] : 'string'
+      }>()`;
+  }
+}
+
+// Sample values per value type; text samples use the default or caption so failures read well
+function generateSample(prop) {
+  switch (sampleValueType(prop)) {
+    case 'string':
+      return toJsString(sampleText(prop));
+    case 'boolean':
+      return prop.type === 'boolean' ? String(prop.defaultValue === true) : 'false';
+    case 'number':
+      return '42';
+    case 'Big':
+      return prop.type === 'decimal' ? 'new Big("1.5")' : 'new Big(42)';
+    case 'Date':
+      return 'new Date("2024-01-31T12:00:00Z")';
+    case 'enumeration':
+      return toJsString(prop.defaultValue);
+    default:
+      return null;
+  }
+}
+
+// The text the component renders for a prop's sample, or null when it renders none to compare
+function renderedSampleText(prop) {
+  if (prop.type === 'widgets') {
+    return prop.caption || prop.key;
+  }
+  if (
+    !['string', 'integer', 'decimal', 'textTemplate', 'expression', 'attribute'].includes(prop.type)
+  ) {
+    return null;
+  }
+  switch (sampleValueType(prop)) {
+    case 'string':
+      return sampleText(prop);
+    case 'number':
+    case 'Big':
+      return prop.type === 'decimal' ? '1.5' : '42';
+    case 'boolean':
+      // Boolean expressions only render inside datasources, as String(value)
+      return prop.type === 'attribute' || prop.dataSource ? 'false' : null;
+    default:
+      return null;
+  }
+}
+
+function sampleValueType(prop) {
+  switch (prop.type) {
+    case 'string':
+    case 'textTemplate':
+      return 'string';
+    case 'boolean':
+      return 'boolean';
+    case 'integer':
+      return 'number';
+    case 'decimal':
+      return 'Big';
+    case 'enumeration':
+      return 'enumeration';
+    case 'expression':
+      return VALUE_TYPES[prop.returnType || 'String'];
+    case 'attribute':
+      return VALUE_TYPES[(prop.attributeTypes || ['String'])[0]];
+    default:
+      return null;
+  }
+}
+
+function sampleText(prop) {
+  const defaultValue =
+    prop.type === 'string' || prop.type === 'textTemplate' ? sourceText(prop.defaultValue) : '';
+  return defaultValue || prop.caption || prop.key;
+}
+
+function sampleUri(prop) {
+  return `https://example.com/${prop.key}.${prop.type === 'image' ? 'png' : 'pdf'}`;
+}
+
+function attributeValueType(prop) {
+  return [...new Set((prop.attributeTypes || ['String']).map((t) => VALUE_TYPES[t]))].join(' | ');
+}
+
+// Writes `src/ui/{name}.css` with the blocks of every widget; suite widgets share the file
+async function generateStyles(files, config) {
+  const { name, widgets = [name] } = config;
+
+  const css = widgets
+    .map((widgetName) => {
+      const nameLower = widgetName.toLowerCase();
+      return `.widget-${nameLower} {
+    /* Widget container styles */
+}
+
+.widget-${nameLower}--loading {
+    opacity: 0.6;
+}
+
+.widget-${nameLower}--error {
+    color: #e74c3c;
+}
+`;
+    })
+    .join('\n');
+
+  files.write(`src/ui/${name}.css`, css);
+}
+
+// Defaults for the native style entries that have a web CSS counterpart
+const NATIVE_STYLE_DEFAULTS = {
+  loading: ['opacity: 0.6'],
+  actions: ['flexDirection: "row"'],
+};
+
+/**
+ * Generates `src/ui/styles.ts` for a native widget: the `{Name}Style` interface with the
+ * entries the component uses and their defaults, which the styles of the native theme
+ * override.
+ */
+async function generateNativeStyles(files, config) {
+  const { name, styles } = config;
+  const types = [...new Set(styles.map(([, type]) => type))].sort();
+
+  const defaults = styles.map(([entry]) => {
+    const declarations = NATIVE_STYLE_DEFAULTS[entry];
+    return declarations
+      ? `    ${entry}: {\n        ${declarations.join(',\n        ')}\n    }`
+      : `    ${entry}: {}`;
+  });
+
+  const ts = `import { Style } from "@mendix/pluggable-widgets-tools";
+import { ${types.join(', ')} } from "react-native";
+
+export interface ${name}Style extends Style {
+${styles.map(([entry, type]) => `    ${entry}: ${type};`).join('\n')}
+}
+
+export const default${name}Style: ${name}Style = {
+${defaults.join(',\n')}
+};
+`;
+
+  files.write('src/ui/styles.ts', ts);
+}
+
+/**
+ * Generates `src/components/index.ts` for a widget suite, the module the widgets import their
+ * shared components from.
+ */
+async function generateSharedComponents(files, config) {
+  const { name } = config;
+
+  const ts = `/**
+ * Components shared by the widgets of the ${name} package. Export them here and import them
+ * with \`import { ... } from "./components";\`; each widget bundles the ones it uses.
+ */
+export {};
+`;
+
+  files.write('src/components/index.ts', ts);
+}
+
+/**
+ * Generates `rollup.config.mjs` for a widget suite. pluggable-widgets-tools bundles only the
+ * widget named by package.json's widgetName; the config repeats those bundles for the other
+ * widgets in src/package.xml and moves them all into the package folder of the widget ids, so
+ * the last bundle zips every widget into one MPK.
+ */
+async function generateSuiteRollupConfig(files, config) {
+  const { name } = config;
+
+  const js = `/**
+ * Builds every widget of the ${name} package into one MPK. pluggable-widgets-tools passes its
+ * bundles for package.json's widgetName; they are repeated for each other widget listed in
+ * src/package.xml. Generated by create-mendix-widget.
+ */
+import { copyFileSync, existsSync, readdirSync, readFileSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+
+const { name: packageName, widgetName } = JSON.parse(readFileSync("package.json", "utf8"));
+const widgets = [...readFileSync("src/package.xml", "utf8").matchAll(/<widgetFile\\s+path="([^"]+)\\.xml"/g)]
+    .map(match => match[1])
+    .filter(widget => widget !== widgetName);
+
+// Plugins the first bundle runs for the whole build: clearing dist/ and generating typings
+const ONCE = ["clear", "widget-typing"];
+
+export default args => {
+    const defaults = args.configDefaultConfig;
+    const forceClose = defaults.flatMap(bundle => bundle.plugins).find(plugin => plugin?.name === "force-close");
+
+    const bundles = [widgetName, ...widgets].flatMap(widget =>
+        defaults.map(bundle => forWidget(bundle, widget)).filter(Boolean)
+    );
+    // Ends the process once the last bundle is written
+    if (forceClose) {
+        bundles[bundles.length - 1].plugins.push(forceClose);
+    }
+    return bundles;
+};
+
+// A bundle of widgetName redone for a widget: its entry file and output name, in the package folder
+function forWidget(bundle, widget) {
+    const input = join(dirname(bundle.input), basename(bundle.input).replace(widgetName, widget));
+    if (!existsSync(input)) {
+        return null;
+    }
+    // Entry bundles go to {packagePath}/{lowercase widgetName}/; the widget ids use the package name
+    const file = bundle.output.file;
+    const inPackage = basename(dirname(file)) === widgetName.toLowerCase();
+    const folder = inPackage ? join(dirname(dirname(file)), packageName) : dirname(file);
+    const plugins = bundle.plugins.filter(plugin => plugin?.name !== "force-close");
+
+    return {
+        ...bundle,
+        input,
+        output: { ...bundle.output, file: join(folder, basename(file).replace(widgetName, widget)) },
+        plugins:
+            widget === widgetName
+                ? plugins
+                : [copyIcons(widget), ...plugins.filter(plugin => !ONCE.includes(plugin?.name))]
+    };
+}
+
+// The tools only package the icons and tiles of widgetName
+function copyIcons(widget) {
+    return {
+        name: "copy-icons",
+        buildStart() {
+            readdirSync("src")
+                .filter(file => new RegExp(\`^\${widget}\\\\.(icon|tile)(\\\\.dark)?\\\\.png$\`).test(file))
+                .forEach(file => copyFileSync(join("src", file), join("dist", "tmp", "widgets", file)));
+        }
+    };
 }
 `;
 
-  await fs.ensureDir(path.join(dir, 'src', 'ui'));
-  await fs.writeFile(path.join(dir, 'src', 'ui', `${name}.css`), css);
+  files.write('rollup.config.mjs', js);
 }
 
-async function generatePackageXml(dir, config) {
-  const { name, displayName, description, company } = config;
+async function generatePackageXml(files, config) {
+  const { name, version, widgets = [name] } = config;
 
   const xml = `<?xml version="1.0" encoding="utf-8"?>
 <package xmlns="http://www.mendix.com/package/1.0/">
-    <clientModule name="${name}" version="1.0.0" xmlns="http://www.mendix.com/clientModule/1.0/">
+    <clientModule name="${name}" version="${version}" xmlns="http://www.mendix.com/clientModule/1.0/">
         <widgetFiles>
-            <widgetFile path="${name}.xml" />
+${widgets.map((widget) => `            <widgetFile path="${widget}.xml" />`).join('\n')}
         </widgetFiles>
     </clientModule>
 </package>`;
 
-  await fs.writeFile(path.join(dir, 'src', 'package.xml'), xml);
+  files.write('src/package.xml', xml);
 }
 
 // Utility: find files by extension
@@ -457,4 +3229,4 @@ async function findFiles(dir, ext) {
   return results;
 }
 
-export default { generateFromConfig };
+export default { generateWidget };
@@ -0,0 +1,495 @@
+/**
+ * Translations
+ * Captions, descriptions, enumeration captions and string / text template defaults may be
+ * plain strings or `{ "en_US": "...", "nl_NL": "..." }` maps. This module resolves them for
+ * generation and round-trips them through CSV or XLIFF files for translators.
+ */
+
+import { escapeXmlAttribute, escapeXmlText } from './escape.js';
+import { findChild, findChildren, findDescendants, parseXml } from './xml.js';
+
+/** Language of the widget XML texts and of the source column in exported files */
+export const SOURCE_LANGUAGE = 'en_US';
+
+/** Mendix language codes: en_US, nl_NL, de_DE, zh_CN, ... */
+export const LANGUAGE_CODE = /^[a-z]{2,3}(_[A-Za-z0-9]+)+$/;
+
+export const I18N_FORMATS = ['csv', 'xliff'];
+
+/** Whether a config text is a translation map rather than a plain string */
+export function isTranslated(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The text Studio Pro shows for a config text: the en_US entry of a map, else its first one.
+ * @param {string|Object<string, string>|undefined} value
+ */
+export function sourceText(value) {
+  if (!isTranslated(value)) {
+    return value;
+  }
+  return value[SOURCE_LANGUAGE] ?? Object.values(value)[0];
+}
+
+/**
+ * Resolves the translation maps of properties to their source text for generation. Text
+ * template defaults keep their map, as the widget XML carries those per language.
+ * @param {Object[]} properties - Normalized properties (enumerations have `options`)
+ * @param {(message: string) => void} warn
+ * @returns {Object[]}
+ */
+export function localizeProperties(properties, warn, prefix = 'properties') {
+  return properties.map((prop, index) => {
+    const localized = localizeItem(prop);
+    if (prop.type === 'string' && isTranslated(prop.defaultValue)) {
+      if (Object.keys(prop.defaultValue).length > 1) {
+        warn(
+          `${prefix}[${index}].defaultValue: Mendix does not translate string properties, so ` +
+            `only the ${languageOf(prop.defaultValue)} text is used. Use a textTemplate to ` +
+            'translate it'
+        );
+      }
+      localized.defaultValue = sourceText(prop.defaultValue);
+    }
+    if (prop.options) {
+      localized.options = prop.options.map((o) => ({ ...o, caption: sourceText(o.caption) }));
+    }
+    if (prop.type === 'object' && prop.properties) {
+      localized.properties = localizeProperties(
+        prop.properties,
+        warn,
+        `${prefix}[${index}].properties`
+      );
+    }
+    return localized;
+  });
+}
+
+/** Resolves the caption and description of events */
+export function localizeEvents(events) {
+  return events.map(localizeItem);
+}
+
+function localizeItem(item) {
+  const localized = { ...item, caption: sourceText(item.caption) };
+  if (item.description !== undefined) {
+    localized.description = sourceText(item.description);
+  }
+  return localized;
+}
+
+function languageOf(map) {
+  return map[SOURCE_LANGUAGE] !== undefined ? SOURCE_LANGUAGE : Object.keys(map)[0];
+}
+
+// ============================================================================
+// COLLECTING AND APPLYING TEXTS
+// ============================================================================
+
+/**
+ * @typedef {Object} TranslatableText
+ * @property {string} id - Stable path by key, such as `properties.mode.options.auto.caption`
+ * @property {Object<string, string>} texts - Text per language; the source language is always set
+ */
+
+/**
+ * Lists every translatable text of a config.
+ * @param {Object} config - Widget config (flat or with a nested `widget` block) or suite config
+ * @returns {{ texts: TranslatableText[], languages: string[] }} languages starts with the
+ *   source language, followed by every other language the config already has texts for
+ */
+export function collectTexts(config) {
+  const texts = [];
+  const languages = new Set([SOURCE_LANGUAGE]);
+
+  const add = (id, value) => {
+    if (value === undefined || value === '' || typeof value === 'boolean') {
+      return;
+    }
+    const map = isTranslated(value) ? value : { [SOURCE_LANGUAGE]: String(value) };
+    Object.keys(map).forEach((language) => languages.add(language));
+    texts.push({ id, texts: { ...map, [SOURCE_LANGUAGE]: sourceText(map) } });
+  };
+
+  const walk = (items, scope) => {
+    for (const item of items || []) {
+      const at = `${scope}.${item.key}`;
+      add(`${at}.caption`, item.caption);
+      add(`${at}.description`, item.description);
+      for (const option of enumerationOptions(item)) {
+        add(`${at}.options.${option.key}.caption`, option.caption);
+      }
+      if (['string', 'textTemplate'].includes(item.type)) {
+        add(`${at}.defaultValue`, item.defaultValue);
+      }
+      if (item.type === 'object') {
+        walk(item.properties, `${at}.properties`);
+      }
+    }
+  };
+  // Texts of a widget suite are prefixed by the widget they belong to
+  for (const [prefix, widget] of configWidgets(config)) {
+    walk(widget.properties, `${prefix}properties`);
+    walk(widget.events, `${prefix}events`);
+  }
+
+  return { texts, languages: [...languages] };
+}
+
+/**
+ * Writes translations into a config. Source texts in the file are not imported: the config
+ * stays their source of truth, and texts whose source changed since the export are reported.
+ * @param {Object} config - Widget config; not modified
+ * @param {TranslatableText[]} texts - Texts read from a translation file
+ * @returns {{ config: Object, updated: number, warnings: string[] }} updated counts the
+ *   translations that were added or changed
+ */
+export function applyTexts(config, texts) {
+  const result = structuredClone(config);
+  const warnings = [];
+  let updated = 0;
+
+  for (const { id, texts: translations } of texts) {
+    const target = locateText(result, id);
+    if (!target) {
+      warnings.push(`${id} does not match any text in the config; skipped`);
+      continue;
+    }
+    const current = target.get();
+    const map = isTranslated(current) ? { ...current } : { [SOURCE_LANGUAGE]: current };
+    const source = translations[SOURCE_LANGUAGE];
+    if (source !== undefined && source !== '' && source !== sourceText(map)) {
+      warnings.push(
+        `${id}: the source text changed since the export ("${source}" is now ` +
+          `"${sourceText(map)}"); check its translations`
+      );
+    }
+
+    for (const [language, text] of Object.entries(translations)) {
+      // Empty cells are untranslated, not deleted
+      if (language === SOURCE_LANGUAGE || text === '' || map[language] === text) {
+        continue;
+      }
+      if (map[SOURCE_LANGUAGE] === undefined) {
+        map[SOURCE_LANGUAGE] = sourceText(map);
+      }
+      map[language] = text;
+      updated++;
+    }
+    if (Object.keys(map).length > 1) {
+      target.set(map);
+    }
+  }
+
+  return { config: result, updated, warnings };
+}
+
+// Finds the field an id points at, with accessors to read and replace it
+function locateText(config, id) {
+  const widget = configWidgets(config).find(([prefix]) => id.startsWith(prefix));
+  if (!widget) {
+    return null;
+  }
+  const parts = id.slice(widget[0].length).split('.');
+  let items = widget[1][parts.shift()];
+  let item = null;
+  while (parts.length > 0) {
+    const key = parts.shift();
+    item = Array.isArray(items) ? items.find((i) => i?.key === key) : null;
+    if (!item) {
+      return null;
+    }
+    if (parts[0] === 'properties' && parts.length > 2) {
+      items = item.properties;
+      parts.shift();
+      continue;
+    }
+    if (parts[0] === 'options' && parts.length === 3 && parts[2] === 'caption') {
+      const option = enumerationOptions(item).find((o) => o.key === parts[1]);
+      if (!option) {
+        return null;
+      }
+      const list = item.options ? 'options' : 'enumValues';
+      const index = item[list].indexOf(option.source);
+      return {
+        get: () => option.caption,
+        set: (value) => {
+          item[list][index] = { key: option.key, caption: value };
+        },
+      };
+    }
+    break;
+  }
+
+  const field = parts[0];
+  const allowed =
+    field === 'caption' ||
+    field === 'description' ||
+    (field === 'defaultValue' && ['string', 'textTemplate'].includes(item?.type));
+  if (!item || parts.length !== 1 || !allowed || item[field] === undefined) {
+    return null;
+  }
+  return { get: () => item[field], set: (value) => (item[field] = value) };
+}
+
+// The widgets of a config with the id prefix of their texts: `widgets.{Name}.` in a suite
+function configWidgets(config) {
+  if (!Array.isArray(config.widgets)) {
+    return [['', config]];
+  }
+  return config.widgets
+    .filter((entry) => entry !== null && typeof entry === 'object')
+    .map((entry) => [`widgets.${(entry.widget || entry).name}.`, entry]);
+}
+
+// Enumeration options in any of the config formats, with their captions (maps included)
+function enumerationOptions(item) {
+  if (item.type !== 'enumeration') {
+    return [];
+  }
+  return (item.options || item.enumValues || []).map((source) =>
+    typeof source === 'string'
+      ? { key: source, caption: source.charAt(0).toUpperCase() + source.slice(1), source }
+      : {
+          key: source.key,
+          caption: source.caption || source.key.charAt(0).toUpperCase() + source.key.slice(1),
+          source,
+        }
+  );
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Writes texts as CSV: an `id` column, then one column per language. A byte order mark lets
+ * Excel detect UTF-8.
+ */
+export function writeCsv(texts, languages) {
+  const rows = [
+    ['id', ...languages],
+    ...texts.map(({ id, texts: map }) => [id, ...languages.map((l) => map[l] ?? '')]),
+  ];
+  return `\uFEFF${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Reads texts from a CSV file written by writeCsv (or edited in a spreadsheet). Commas and
+ * semicolons are both accepted as separators.
+ * @returns {TranslatableText[]}
+ * @throws {Error} When the header has no `id` column or names an invalid language
+ */
+export function parseCsv(source) {
+  const content = source.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const [header = [], ...rows] = parseCsvRows(content, separator).filter((row) =>
+    row.some((cell) => cell.trim() !== '')
+  );
+
+  const languages = header.slice(1).map((cell) => cell.trim());
+  if (header[0]?.trim() !== 'id') {
+    throw new Error('The first column of the CSV header must be "id"');
+  }
+  const invalid = languages.find((language) => !LANGUAGE_CODE.test(language));
+  if (invalid !== undefined) {
+    throw new Error(`"${invalid}" in the CSV header is not a language code such as nl_NL`);
+  }
+
+  return rows.map(([id, ...cells]) => ({
+    id: id.trim(),
+    texts: Object.fromEntries(languages.map((language, i) => [language, cells[i] ?? ''])),
+  }));
+}
+
+function parseCsvRows(content, separator) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    rows.push([...row, field]);
+  }
+  return rows;
+}
+
+// ============================================================================
+// XLIFF
+// ============================================================================
+
+/**
+ * Writes texts as XLIFF 1.2 with one `<file>` per target language, the form most
+ * translation tools import. Languages use BCP 47 tags (nl-NL) as XLIFF requires.
+ * @throws {Error} When there is no target language
+ */
+export function writeXliff(texts, languages, original) {
+  const targets = languages.filter((language) => language !== SOURCE_LANGUAGE);
+  if (targets.length === 0) {
+    throw new Error('XLIFF needs a target language. Pass one with --languages, such as nl_NL');
+  }
+
+  const unit = ({ id, texts: map }, language) =>
+    [
+      `            <trans-unit id="${escapeXmlAttribute(id)}">`,
+      `                <source>${escapeXmlText(map[SOURCE_LANGUAGE])}</source>`,
+      map[language]
+        ? `                <target state="translated">${escapeXmlText(map[language])}</target>`
+        : '                <target state="new"></target>',
+      '            </trans-unit>',
+    ].join('\n');
+
+  const files = targets.map((language) =>
+    [
+      `    <file original="${escapeXmlAttribute(original)}" datatype="plaintext" ` +
+        `source-language="${toTag(SOURCE_LANGUAGE)}" target-language="${toTag(language)}">`,
+      '        <body>',
+      ...texts.map((text) => unit(text, language)),
+      '        </body>',
+      '    </file>',
+    ].join('\n')
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+${files.join('\n')}
+</xliff>
+`;
+}
+
+/**
+ * Reads texts from an XLIFF 1.2 file. Units with an empty target are left untranslated.
+ * @returns {TranslatableText[]}
+ * @throws {Error} When the file is not XLIFF or a `<file>` has no target-language
+ */
+export function parseXliff(source) {
+  const root = parseXml(source);
+  if (root.name !== 'xliff') {
+    throw new Error(`Expected an <xliff> document, found <${root.name}>`);
+  }
+
+  const byId = new Map();
+  for (const file of findChildren(root, 'file')) {
+    const language = fromTag(file.attributes['target-language'] || '');
+    if (!LANGUAGE_CODE.test(language)) {
+      throw new Error('Every <file> in the XLIFF needs a target-language such as nl-NL');
+    }
+    for (const unit of findDescendants(file, 'trans-unit')) {
+      const { id } = unit.attributes;
+      const entry = byId.get(id) || { id, texts: {} };
+      entry.texts[SOURCE_LANGUAGE] = findChild(unit, 'source')?.text ?? '';
+      entry.texts[language] = findChild(unit, 'target')?.text ?? '';
+      byId.set(id, entry);
+    }
+  }
+  return [...byId.values()];
+}
+
+function toTag(language) {
+  return language.replace(/_/g, '-');
+}
+
+function fromTag(tag) {
+  return tag.replace(/-/g, '_');
+}
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+
+/**
+ * Writes every translatable text of a config to a CSV or XLIFF file for translators.
+ * @param {Object} config - Widget config
+ * @param {Object} [options]
+ * @param {'csv'|'xliff'} [options.format='csv']
+ * @param {string[]} [options.languages] - Languages to add next to those the config has
+ * @returns {{ content: string, texts: number, languages: string[] }}
+ * @throws {Error} When a language is not a code such as nl_NL, or XLIFF has no target language
+ */
+export function exportTranslations(config, { format = 'csv', languages = [] } = {}) {
+  const invalid = languages.find((language) => !LANGUAGE_CODE.test(language));
+  if (invalid !== undefined) {
+    throw new Error(`"${invalid}" is not a language code such as nl_NL`);
+  }
+
+  const collected = collectTexts(config);
+  const all = [...new Set([...collected.languages, ...languages])];
+  const name = (config.widget || config).name || 'widget';
+  const content =
+    format === 'xliff' ? writeXliff(collected.texts, all, name) : writeCsv(collected.texts, all);
+  return { content, texts: collected.texts.length, languages: all };
+}
+
+/**
+ * Reads a translated CSV or XLIFF file back into a config.
+ * @param {Object} config - Widget config the file was exported from; not modified
+ * @param {string} content - File content
+ * @param {Object} [options]
+ * @param {'csv'|'xliff'} [options.format='csv']
+ * @returns {{ config: Object, updated: number, warnings: string[] }}
+ * @throws {Error} When the file cannot be parsed
+ */
+export function importTranslations(config, content, { format = 'csv' } = {}) {
+  const texts = format === 'xliff' ? parseXliff(content) : parseCsv(content);
+  return applyTexts(config, texts);
+}
+
+/** Picks the file format from `--format` or the file extension */
+export function detectI18nFormat(file, format) {
+  if (format) {
+    return format;
+  }
+  return /\.(xlf|xliff)$/i.test(file || '') ? 'xliff' : 'csv';
+}
+
+export default {
+  SOURCE_LANGUAGE,
+  LANGUAGE_CODE,
+  I18N_FORMATS,
+  isTranslated,
+  sourceText,
+  localizeProperties,
+  localizeEvents,
+  collectTexts,
+  applyTexts,
+  writeCsv,
+  parseCsv,
+  writeXliff,
+  parseXliff,
+  exportTranslations,
+  importTranslations,
+  detectI18nFormat,
+};
@@ -0,0 +1,307 @@
+/**
+ * Widget Icons
+ * Loads the toolbox icon and tile images a config points at, checks their dimensions, and
+ * draws a placeholder icon from the widget's initials when none is given. PNGs are read and
+ * written with zlib alone, so this runs wherever Node does.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+
+/**
+ * Config fields and the `src/{Name}.{suffix}.png` file each one becomes. pluggable-widgets-tools
+ * copies these into the MPK by name.
+ */
+export const IMAGE_FIELDS = {
+  icon: { suffix: 'icon', kind: 'icon' },
+  iconDark: { suffix: 'icon.dark', kind: 'icon' },
+  tile: { suffix: 'tile', kind: 'tile' },
+  tileDark: { suffix: 'tile.dark', kind: 'tile' },
+};
+
+// Toolbox icons are square (64×64 looks best), tiles 4:3 (256×192)
+const LIMITS = {
+  icon: { ratio: 1, min: 16, max: 256, label: 'square', recommended: '64×64' },
+  tile: { ratio: 4 / 3, min: 64, max: 1024, label: '4:3', recommended: '256×192' },
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Reads every configured image, falling back to placeholder icons drawn from the widget
+ * initials when neither icon is given. A custom icon is never paired with a generated one, so
+ * a dark icon without a light one is an error.
+ * @param {string} name - Widget name (PascalCase)
+ * @param {{ icon?: string, iconDark?: string, tile?: string, tileDark?: string }} sources -
+ *   Image paths
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Promise<{ images: { field: string, file: string, content: Buffer }[],
+ *   errors: string[], warnings: string[] }>} file is the path inside the widget folder
+ */
+export async function loadWidgetImages(name, sources, baseDir) {
+  const images = [];
+  const errors = [];
+  const warnings = [];
+
+  for (const [field, { suffix, kind }] of Object.entries(IMAGE_FIELDS)) {
+    const source = sources[field];
+    if (!source) {
+      continue;
+    }
+    const fullPath = path.resolve(baseDir, source);
+    let content;
+    try {
+      content = await fs.readFile(fullPath);
+    } catch (err) {
+      errors.push(`${field}: cannot read ${source} (${err.code || err.message})`);
+      continue;
+    }
+    const problem = checkImage(content, LIMITS[kind]);
+    if (problem) {
+      errors.push(`${field}: ${source} ${problem}`);
+      continue;
+    }
+    images.push({ field, file: `src/${name}.${suffix}.png`, content });
+  }
+
+  if (sources.tileDark && !sources.tile) {
+    warnings.push('tileDark is set without tile; the dark tile is only used next to a light one');
+  }
+  if (sources.iconDark && !sources.icon) {
+    errors.push('iconDark is set without icon; add the light icon it is paired with');
+  }
+  if (!sources.icon && !sources.iconDark) {
+    images.push({ field: 'icon', file: `src/${name}.icon.png`, content: drawPlaceholder(name) });
+    images.push({
+      field: 'iconDark',
+      file: `src/${name}.icon.dark.png`,
+      content: drawPlaceholder(name, { dark: true }),
+    });
+  }
+
+  return { images, errors, warnings };
+}
+
+function checkImage(content, { ratio, min, max, label, recommended }) {
+  const size = readPngSize(content);
+  if (!size) {
+    return 'is not a PNG file';
+  }
+  const { width, height } = size;
+  if (Math.abs(width / height - ratio) > 0.01) {
+    return `is ${width}×${height} but must be ${label} (${recommended} recommended)`;
+  }
+  if (width < min || width > max) {
+    return `is ${width}×${height}; use ${recommended} (between ${min} and ${max} pixels wide)`;
+  }
+  return null;
+}
+
+/**
+ * Reads width and height from a PNG's IHDR chunk.
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number }|null} null when the buffer is not a PNG
+ */
+export function readPngSize(buffer) {
+  if (
+    buffer.length < 24 ||
+    !buffer.subarray(0, 8).equals(PNG_SIGNATURE) ||
+    buffer.toString('ascii', 12, 16) !== 'IHDR'
+  ) {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Encodes 8-bit RGBA pixels as a PNG.
+ * @param {number} width
+ * @param {number} height
+ * @param {Buffer} rgba - width × height × 4 bytes, row by row
+ * @returns {Buffer}
+ */
+export function encodePng(width, height, rgba) {
+  // Every scanline starts with filter type 0 (None)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8); // bit depth 8, RGBA, deflate, no filter variants, no interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 5×7 glyphs, one hex byte per row, the low five bits left to right
+const FONT = {
+  A: '0e11111f111111',
+  B: '1e11111e11111e',
+  C: '0e11101010110e',
+  D: '1e11111111111e',
+  E: '1f10101e10101f',
+  F: '1f10101e101010',
+  G: '0e11101711110f',
+  H: '1111111f111111',
+  I: '0e04040404040e',
+  J: '0702020202120c',
+  K: '11121418141211',
+  L: '1010101010101f',
+  M: '111b1515111111',
+  N: '11111915131111',
+  O: '0e11111111110e',
+  P: '1e11111e101010',
+  Q: '0e11111115120d',
+  R: '1e11111e141211',
+  S: '0f10100e01011e',
+  T: '1f040404040404',
+  U: '1111111111110e',
+  V: '11111111110a04',
+  W: '1111111515150a',
+  X: '11110a040a1111',
+  Y: '1111110a040404',
+  Z: '1f01020408101f',
+  0: '0e11131519110e',
+  1: '040c040404040e',
+  2: '0e11010204081f',
+  3: '1f02040201110e',
+  4: '02060a121f0202',
+  5: '1f101e0101110e',
+  6: '0608101e11110e',
+  7: '1f010204080808',
+  8: '0e11110e11110e',
+  9: '0e11110f01020c',
+};
+
+// Background colors, picked by a hash of the name so a widget always gets the same one
+const PALETTE = [
+  [0x26, 0x4a, 0xe5],
+  [0x05, 0x95, 0xdb],
+  [0x3c, 0xb3, 0x3d],
+  [0xe3, 0x3f, 0x4e],
+  [0x8e, 0x44, 0xad],
+  [0x16, 0xa0, 0x85],
+  [0xd3, 0x54, 0x00],
+  [0x34, 0x49, 0x5e],
+];
+
+/** "StatusIndicator" → "SI", "QRCode" → "QC", "Rating" → "R" */
+export function widgetInitials(name) {
+  const words = name.match(/[A-Z]+(?![a-z])|[A-Z][a-z]*|[0-9]+/g) || [name];
+  return words
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .filter((letter) => FONT[letter])
+    .join('');
+}
+
+/**
+ * Draws a 64×64 rounded square with the widget initials. The dark variant uses a lighter
+ * background with dark letters so it stands out in Studio Pro's dark theme.
+ * @returns {Buffer} PNG
+ */
+export function drawPlaceholder(name, { dark = false } = {}) {
+  const size = 64;
+  const radius = 12;
+  const hash = [...name].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+  const base = PALETTE[hash % PALETTE.length];
+  const background = dark ? base.map((c) => Math.round(c + (255 - c) * 0.45)) : base;
+  const foreground = dark ? [0x1e, 0x1e, 0x1e] : [0xff, 0xff, 0xff];
+
+  const pixels = Buffer.alloc(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const alpha = roundedCoverage(x, y, size, radius);
+      pixels.set([...background, Math.round(alpha * 255)], (y * size + x) * 4);
+    }
+  }
+
+  const initials = widgetInitials(name);
+  const scale = initials.length > 1 ? 4 : 6;
+  const gap = scale;
+  const textWidth = initials.length * 5 * scale + (initials.length - 1) * gap;
+  const left = Math.floor((size - textWidth) / 2);
+  const top = Math.floor((size - 7 * scale) / 2);
+
+  [...initials].forEach((letter, index) => {
+    const rows = FONT[letter].match(/../g).map((hex) => parseInt(hex, 16));
+    const originX = left + index * (5 * scale + gap);
+    rows.forEach((bits, row) => {
+      for (let col = 0; col < 5; col++) {
+        if (bits & (0x10 >> col)) {
+          fillRect(pixels, size, originX + col * scale, top + row * scale, scale, foreground);
+        }
+      }
+    });
+  });
+
+  return encodePng(size, size, pixels);
+}
+
+// Share of the pixel inside the rounded square, sampled 4×4 for smooth corners
+function roundedCoverage(x, y, size, radius) {
+  let inside = 0;
+  for (let sy = 0; sy < 4; sy++) {
+    for (let sx = 0; sx < 4; sx++) {
+      const px = x + (sx + 0.5) / 4;
+      const py = y + (sy + 0.5) / 4;
+      const dx = Math.max(radius - px, px - (size - radius), 0);
+      const dy = Math.max(radius - py, py - (size - radius), 0);
+      if (dx * dx + dy * dy <= radius * radius) {
+        inside++;
+      }
+    }
+  }
+  return inside / 16;
+}
+
+function fillRect(pixels, size, x, y, extent, [r, g, b]) {
+  for (let row = y; row < y + extent; row++) {
+    for (let col = x; col < x + extent; col++) {
+      pixels.set([r, g, b, 255], (row * size + col) * 4);
+    }
+  }
+}
+
+export default {
+  IMAGE_FIELDS,
+  loadWidgetImages,
+  readPngSize,
+  encodePng,
+  widgetInitials,
+  drawPlaceholder,
+};
@@ -0,0 +1,549 @@
+/**
+ * Widget Importer
+ * Reads the widget XML and package.json of an existing widget (hand-written or generated by
+ * another tool) and turns them into a config that conforms to widget-config-schema.json, so the
+ * widget can be regenerated and maintained like one created here.
+ */
+
+import fs from 'fs-extra';
+import { createRequire } from 'module';
+import path from 'path';
+import { SOURCE_LANGUAGE } from './i18n.js';
+import { fromSupportedPlatform } from './platform.js';
+import { validateConfig } from './validator.js';
+import { findChild, findChildren, parseXml } from './xml.js';
+
+const require = createRequire(import.meta.url);
+const schema = require('../widget-config-schema.json');
+
+const PROPERTY = schema.definitions.property.properties;
+const ENUMS = {
+  type: PROPERTY.type.enum,
+  category: schema.properties.category.enum,
+  attributeTypes: PROPERTY.attributeTypes.items.enum,
+  associationTypes: PROPERTY.associationTypes.items.enum,
+  selectionTypes: PROPERTY.selectionTypes.items.enum,
+  returnType: PROPERTY.returnType.enum,
+  defaultType: PROPERTY.defaultType.enum,
+  actionVariable: PROPERTY.actionVariables.items.properties.type.enum,
+  systemProperties: schema.properties.systemProperties.items.enum,
+};
+
+// Types the generator writes a `required` attribute for
+const REQUIRED_TYPES = new Set([
+  'string',
+  'textTemplate',
+  'expression',
+  'action',
+  'attribute',
+  'association',
+  'datasource',
+  'widgets',
+  'icon',
+  'image',
+  'file',
+  'object',
+]);
+
+// Attributes and child elements the importer understands; anything else is reported
+const HANDLED_ATTRIBUTES = new Set([
+  'key',
+  'type',
+  'required',
+  'defaultValue',
+  'multiline',
+  'isList',
+  'dataSource',
+  'onChange',
+  'selectableObjects',
+  'allowUpload',
+  'defaultType',
+]);
+const HANDLED_CHILDREN = new Set([
+  'caption',
+  'description',
+  'enumerationValues',
+  'returnType',
+  'translations',
+  'attributeTypes',
+  'associationTypes',
+  'selectionTypes',
+  'actionVariables',
+  'properties',
+]);
+
+const EVENT_KEY = /^on[A-Z][a-zA-Z]*$/;
+
+/**
+ * Builds a widget config from the widget folder in `dir`. Nothing is written.
+ * @param {Object} options - `{ widget }` picks the widget when the package contains several
+ * @returns {Promise<{ config: Object, widget: string, warnings: string[] }>} Warnings list
+ *   everything that could not be carried over, plus any problems the config still has
+ * @throws {Error} When the folder has no readable widget XML
+ */
+export async function importWidget(dir, options = {}) {
+  const root = path.resolve(dir);
+  const warnings = [];
+  const warn = (message) => warnings.push(message);
+
+  const name = await locateWidgetName(root, options.widget);
+  const xmlPath = path.join(root, 'src', `${name}.xml`);
+  if (!(await fs.pathExists(xmlPath))) {
+    throw new Error(`src/${name}.xml not found in ${root}`);
+  }
+  const widgetElement = parseXml(await fs.readFile(xmlPath, 'utf8'));
+  if (widgetElement.name !== 'widget') {
+    throw new Error(
+      `src/${name}.xml is not a widget definition (root element <${widgetElement.name}>)`
+    );
+  }
+
+  const pkgPath = path.join(root, 'package.json');
+  const pkg = (await fs.pathExists(pkgPath)) ? await fs.readJson(pkgPath) : {};
+  if (!pkg.name) {
+    warn('package.json not found or has no name; company and version use defaults');
+  }
+
+  const { attributes } = widgetElement;
+  const lower = name.toLowerCase();
+  const company = importCompany(attributes.id, name, warn);
+  if (pkg.name && pkg.name !== lower) {
+    warn(`package.json name "${pkg.name}" will become "${lower}" (the lowercase widget name)`);
+  }
+  const platform = fromSupportedPlatform(attributes.supportedPlatform);
+  if (!platform) {
+    warn(
+      `supportedPlatform "${attributes.supportedPlatform}" is not supported; the config targets web`
+    );
+  }
+
+  const config = {
+    name,
+    displayName: findChild(widgetElement, 'name')?.text.trim() || name,
+    description: findChild(widgetElement, 'description')?.text.trim() || pkg.description || '',
+    category: importCategory(widgetElement, warn),
+    company,
+  };
+  if (!config.description) {
+    delete config.description;
+    warn('the widget has no description; generation will use "A custom ... widget"');
+  }
+  if (typeof pkg.author === 'string' && pkg.author) {
+    config.author = pkg.author;
+  }
+  if (typeof pkg.version === 'string' && /^\d+\.\d+\.\d+$/.test(pkg.version)) {
+    config.version = pkg.version;
+  }
+
+  // Widget properties, with action properties that fit the events format split off
+  const propertiesElement = findChild(widgetElement, 'properties');
+  const layout = readLayout(propertiesElement, warn);
+  const properties = [];
+  const events = [];
+  for (const element of layout.properties) {
+    const prop = importProperty(element, `property "${element.attributes.key}"`, warn);
+    if (!prop) {
+      continue;
+    }
+    if (isEvent(prop)) {
+      events.push(toEvent(prop));
+    } else {
+      properties.push(prop);
+    }
+  }
+
+  const systemProperties = layout.systemProperties.filter((key) => {
+    if (!ENUMS.systemProperties.includes(key)) {
+      warn(`systemProperty "${key}" is not supported and was skipped`);
+      return false;
+    }
+    return true;
+  });
+
+  // Settings the generator derives are only written when the widget differs from the default
+  const contextProps = properties.filter(
+    (p) => ['attribute', 'association'].includes(p.type) && !p.dataSource
+  );
+  const needsEntityContext = attributes.needsEntityContext === 'true';
+  if (needsEntityContext !== contextProps.length > 0) {
+    config.needsEntityContext = needsEntityContext;
+  }
+  if (attributes.offlineCapable !== 'true') {
+    config.offlineCapable = false;
+  }
+  if (platform && platform !== 'web') {
+    config.platform = platform;
+  }
+  config.systemProperties = systemProperties;
+  config.properties = properties;
+  config.events = events;
+
+  const imported = new Set([...properties, ...events].map((p) => p.key));
+  const propertyGroups = importPropertyGroups(layout.groups, imported, warn);
+  if (!isDefaultLayout(propertyGroups, properties, events)) {
+    config.propertyGroups = propertyGroups;
+  }
+
+  validateConfig(config).forEach((error) => warn(`config needs a manual fix: ${error}`));
+
+  return { config, widget: name, warnings };
+}
+
+async function locateWidgetName(root, widgetName) {
+  const packageXml = path.join(root, 'src', 'package.xml');
+  let names;
+  if (await fs.pathExists(packageXml)) {
+    const clientModule = findChild(parseXml(await fs.readFile(packageXml, 'utf8')), 'clientModule');
+    names = findChildren(findChild(clientModule, 'widgetFiles'), 'widgetFile').map((file) =>
+      path.basename(file.attributes.path, '.xml')
+    );
+  } else {
+    const srcDir = path.join(root, 'src');
+    if (!(await fs.pathExists(srcDir))) {
+      throw new Error(`${srcDir} not found. Is ${root} a widget folder?`);
+    }
+    names = (await fs.readdir(srcDir))
+      .filter((file) => file.endsWith('.xml') && file !== 'package.xml')
+      .map((file) => path.basename(file, '.xml'));
+  }
+
+  if (names.length === 0) {
+    throw new Error(`No widget XML found in ${path.join(root, 'src')}`);
+  }
+  if (widgetName && !names.includes(widgetName)) {
+    throw new Error(`Widget "${widgetName}" not found. Available: ${names.join(', ')}`);
+  }
+  if (!widgetName && names.length > 1) {
+    throw new Error(
+      `This package has several widgets; pick one with --widget (${names.join(', ')})`
+    );
+  }
+  return widgetName || names[0];
+}
+
+// The generator builds the id as {company}.{lowercase name}.{Name}
+function importCompany(id = '', name, warn) {
+  const suffix = `.${name.toLowerCase()}.${name}`;
+  if (id.endsWith(suffix) && id.length > suffix.length) {
+    return id.slice(0, -suffix.length);
+  }
+
+  const segments = id.split('.').filter(Boolean);
+  const company = segments.length > 2 ? segments.slice(0, -2).join('.') : segments[0];
+  if (!company || company === name) {
+    warn(`widget id "${id}" has no company prefix; using "mycompany"`);
+    return 'mycompany';
+  }
+  warn(`widget id "${id}" will become "${company}${suffix}"`);
+  return company;
+}
+
+function importCategory(widgetElement, warn) {
+  const category = (
+    findChild(widgetElement, 'studioProCategory') || findChild(widgetElement, 'studioCategory')
+  )?.text.trim();
+  if (category && ENUMS.category.includes(category)) {
+    return category;
+  }
+  warn(
+    category
+      ? `category "${category}" is not one of ${ENUMS.category.join(', ')}; using "Display"`
+      : 'the widget XML has no toolbox category; using "Display"'
+  );
+  return 'Display';
+}
+
+// ============================================================================
+// LAYOUT
+// ============================================================================
+
+/**
+ * Walks the <properties> tree and returns the top-level property elements in document order,
+ * the system property keys, and the group tree as `{ caption, keys, sections }`.
+ */
+function readLayout(propertiesElement, warn) {
+  const layout = { properties: [], systemProperties: [], groups: [] };
+  if (!propertiesElement) {
+    return layout;
+  }
+
+  // Collects property keys below `element`, adding the elements to the layout as it goes
+  const collect = (element) =>
+    element.children.flatMap((child) => {
+      if (child.name === 'property') {
+        layout.properties.push(child);
+        return [child.attributes.key];
+      }
+      if (child.name === 'systemProperty') {
+        layout.systemProperties.push(child.attributes.key);
+        return [];
+      }
+      if (child.name === 'propertyGroup') {
+        warn(`group "${child.attributes.caption}" is nested too deeply and was merged upward`);
+        return collect(child);
+      }
+      return [];
+    });
+
+  const loose = [];
+  for (const child of propertiesElement.children) {
+    if (child.name !== 'propertyGroup') {
+      loose.push(...collect({ children: [child] }));
+      continue;
+    }
+
+    const group = { caption: child.attributes.caption, keys: [], sections: [] };
+    const systemBefore = layout.systemProperties.length;
+    for (const item of child.children) {
+      if (item.name === 'propertyGroup') {
+        group.sections.push({ caption: item.attributes.caption, keys: collect(item) });
+      } else {
+        group.keys.push(...collect({ children: [item] }));
+      }
+    }
+    const hasSystem = layout.systemProperties.length > systemBefore;
+    if (hasSystem && (group.keys.length > 0 || group.sections.length > 0)) {
+      warn(`system properties in group "${group.caption}" move to the "Common" group`);
+    }
+    layout.groups.push(group);
+  }
+  if (loose.length > 0) {
+    layout.groups.unshift({ caption: 'General', keys: loose, sections: [] });
+  }
+  return layout;
+}
+
+function importPropertyGroups(groups, imported, warn) {
+  const known = (keys) => keys.filter((key) => imported.has(key));
+
+  return groups.flatMap((group) => {
+    const properties = known(group.keys);
+    const sections = group.sections
+      .map((section) => ({ caption: section.caption, properties: known(section.keys) }))
+      .filter((section) => section.properties.length > 0);
+    if (properties.length === 0 && sections.length === 0) {
+      return [];
+    }
+    if (properties.length > 0 && sections.length > 0) {
+      warn(
+        `group "${group.caption}" mixes properties and sections; ` +
+          `its loose properties become a section named "${group.caption}"`
+      );
+    }
+    return [
+      {
+        caption: group.caption,
+        ...(properties.length > 0 && { properties }),
+        ...(sections.length > 0 && { sections }),
+      },
+    ];
+  });
+}
+
+// The generator's own layout without propertyGroups: General, Events, Common
+function isDefaultLayout(propertyGroups, properties, events) {
+  const defaults = [
+    { caption: 'General', properties: properties.map((p) => p.key) },
+    { caption: 'Events', properties: events.map((e) => e.key) },
+  ].filter((group) => group.properties.length > 0);
+  return JSON.stringify(propertyGroups) === JSON.stringify(defaults);
+}
+
+// ============================================================================
+// PROPERTIES
+// ============================================================================
+
+/**
+ * Converts a <property> element into a property config, or returns null (with a warning)
+ * when its type cannot be generated.
+ */
+function importProperty(element, where, warn) {
+  const { attributes } = element;
+  const { key, type } = attributes;
+  if (!ENUMS.type.includes(type)) {
+    warn(`${where} has type "${type}", which the generator does not support; skipped`);
+    return null;
+  }
+
+  const ignoredAttributes = Object.keys(attributes).filter((a) => !HANDLED_ATTRIBUTES.has(a));
+  const ignoredChildren = element.children
+    .map((child) => child.name)
+    .filter((child) => !HANDLED_CHILDREN.has(child));
+  if (ignoredAttributes.length > 0 || ignoredChildren.length > 0) {
+    const ignored = [...ignoredAttributes, ...ignoredChildren.map((c) => `<${c}>`)];
+    warn(`${where}: ${ignored.join(', ')} cannot be expressed in the config and was dropped`);
+  }
+
+  const prop = {
+    key,
+    type,
+    caption: findChild(element, 'caption')?.text.trim() || key,
+  };
+  const description = findChild(element, 'description')?.text.trim();
+  if (description) {
+    prop.description = description;
+  }
+  if (REQUIRED_TYPES.has(type)) {
+    prop.required = attributes.required !== 'false';
+  }
+
+  const { defaultValue } = attributes;
+  switch (type) {
+    case 'string':
+    case 'expression':
+      if (defaultValue) {
+        prop.defaultValue = defaultValue;
+      }
+      break;
+    case 'boolean':
+      prop.defaultValue = defaultValue === 'true';
+      break;
+    case 'integer':
+    case 'decimal':
+      if (defaultValue) {
+        // Keep decimals such as "0.10" as written rather than losing digits to a number
+        prop.defaultValue =
+          String(Number(defaultValue)) === defaultValue ? Number(defaultValue) : defaultValue;
+      }
+      break;
+    case 'enumeration':
+      prop.options = findChildren(findChild(element, 'enumerationValues'), 'enumerationValue').map(
+        (value) => ({ key: value.attributes.key, caption: value.text.trim() })
+      );
+      if (defaultValue) {
+        prop.defaultValue = defaultValue;
+      }
+      break;
+    case 'textTemplate': {
+      // A default in en_US only stays a plain string, as the generator writes it
+      const translations = findChildren(findChild(element, 'translations'), 'translation').map(
+        (translation) => [translation.attributes.lang, translation.text]
+      );
+      if (translations.length === 1 && translations[0][0] === SOURCE_LANGUAGE) {
+        prop.defaultValue = translations[0][1];
+      } else if (translations.length > 0) {
+        prop.defaultValue = Object.fromEntries(translations);
+      }
+      break;
+    }
+  }
+
+  if (attributes.multiline === 'true' && ['string', 'textTemplate'].includes(type)) {
+    prop.multiline = true;
+  }
+
+  if (type === 'expression') {
+    const returnType = findChild(element, 'returnType');
+    const returnTypeName = returnType?.attributes.type;
+    if (ENUMS.returnType.includes(returnTypeName)) {
+      prop.returnType = returnTypeName;
+    } else if (returnTypeName) {
+      warn(`${where} has return type "${returnTypeName}", which is not supported; using String`);
+    }
+    if (returnType && (returnType.attributes.isList || returnType.attributes.assignableTo)) {
+      warn(`${where}: isList and assignableTo on <returnType> were dropped`);
+    }
+  }
+
+  const typeList = (listName, itemName, allowed) => {
+    const names = findChildren(findChild(element, listName), itemName).map(
+      (t) => t.attributes.name
+    );
+    const unsupported = names.filter((n) => !allowed.includes(n));
+    if (unsupported.length > 0) {
+      warn(`${where}: ${itemName} ${unsupported.join(', ')} is not supported and was dropped`);
+    }
+    return names.filter((n) => allowed.includes(n));
+  };
+  if (type === 'attribute') {
+    prop.attributeTypes = typeList('attributeTypes', 'attributeType', ENUMS.attributeTypes);
+  }
+  if (type === 'association') {
+    prop.associationTypes = typeList('associationTypes', 'associationType', ENUMS.associationTypes);
+  }
+  if (type === 'selection') {
+    prop.selectionTypes = typeList('selectionTypes', 'selectionType', ENUMS.selectionTypes);
+  }
+
+  if (type === 'action') {
+    if (attributes.defaultType && ENUMS.defaultType.includes(attributes.defaultType)) {
+      prop.defaultType = attributes.defaultType;
+    }
+    const variables = findChildren(findChild(element, 'actionVariables'), 'actionVariable').filter(
+      (v) => {
+        const supported = ENUMS.actionVariable.includes(v.attributes.type);
+        if (!supported) {
+          warn(
+            `${where}: action variable "${v.attributes.key}" (${v.attributes.type}) was dropped`
+          );
+        }
+        return supported;
+      }
+    );
+    if (variables.length > 0) {
+      prop.actionVariables = variables.map((v) => ({
+        key: v.attributes.key,
+        type: v.attributes.type,
+        caption: v.attributes.caption,
+      }));
+    }
+  } else if (attributes.defaultType) {
+    warn(`${where}: defaultType is only generated for actions and was dropped`);
+  }
+
+  if (['datasource', 'object'].includes(type) && attributes.isList !== 'true') {
+    warn(`${where} is not a list; the generator always writes isList="true"`);
+  }
+  if (['image', 'file'].includes(type) && attributes.allowUpload !== undefined) {
+    prop.allowUpload = attributes.allowUpload === 'true';
+  }
+
+  for (const reference of ['dataSource', 'onChange', 'selectableObjects']) {
+    if (attributes[reference]) {
+      prop[reference] = attributes[reference];
+    }
+  }
+
+  if (type === 'object') {
+    const groups = findChildren(findChild(element, 'properties'), 'propertyGroup');
+    if (groups.length > 1) {
+      warn(`${where}: the nested property groups are merged into one "General" group`);
+    }
+    prop.properties = collectNested(findChild(element, 'properties'))
+      .map((nested) => importProperty(nested, `${where} > "${nested.attributes.key}"`, warn))
+      .filter(Boolean);
+  }
+
+  return prop;
+}
+
+function collectNested(element) {
+  return (element?.children || []).flatMap((child) =>
+    child.name === 'property' ? [child] : collectNested(child)
+  );
+}
+
+// Actions the events section can express: optional, on-prefixed, without variables or defaults
+function isEvent(prop) {
+  return (
+    prop.type === 'action' &&
+    EVENT_KEY.test(prop.key) &&
+    !prop.required &&
+    !prop.defaultType &&
+    !prop.actionVariables
+  );
+}
+
+function toEvent(prop) {
+  const event = { key: prop.key, caption: prop.caption };
+  // "Event handler" is what the generator writes for events without a description
+  if (prop.description && prop.description !== 'Event handler') {
+    event.description = prop.description;
+  }
+  if (prop.dataSource) {
+    event.dataSource = prop.dataSource;
+  }
+  return event;
+}
+
+export default { importWidget };
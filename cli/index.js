@@ -9,14 +9,28 @@
  *   npx create-mendix-widget
  *   npx create-mendix-widget my-widget
  *   npx create-mendix-widget --template status-badge
+ *   npx create-mendix-widget --template status-badge-native
+ *   npx create-mendix-widget --config widget.json --platform native
+ *   npx create-mendix-widget validate ./statusbadge
+ *   npx create-mendix-widget add-property ./statusbadge --key subtitle --type textTemplate
+ *   npx create-mendix-widget import ./legacy-widget -o legacy-widget.json
+ *   npx create-mendix-widget i18n export widget.json -l nl_NL,de_DE -o texts.csv
  */
 
 import chalk from 'chalk';
-import { Command } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
+import fs from 'fs-extra';
 import { createRequire } from 'module';
-import { generateFromConfig } from './generator.js';
-import { getTemplate, listTemplates } from './templates.js';
-import { wizard } from './wizard.js';
+import { generateFromConfig, printJsonSummary } from './console.js';
+import { detectI18nFormat, exportTranslations, I18N_FORMATS, importTranslations } from './i18n.js';
+import { importWidget } from './import.js';
+import { inspectWidgetProject, printInspectionReport } from './inspect.js';
+import { parseMendixVersion } from './mendixVersion.js';
+import { PACKAGE_MANAGERS } from './packageManager.js';
+import { PLATFORMS } from './platform.js';
+import { addProperty, removeProperty } from './properties.js';
+import { getTemplate, listTemplates, TEMPLATES } from './templates.js';
+import { promptEvent, promptProperty, wizard } from './wizard.js';
 
 const require = createRequire(import.meta.url);
 const pkg = require('../package.json');
@@ -25,6 +39,9 @@ async function generateFromTemplate(templateName, customName, options) {
   const template = getTemplate(templateName);
 
   if (!template) {
+    if (options.reporter === 'json') {
+      failJson(`Template "${templateName}" not found`);
+    }
     console.log(chalk.red(`\n❌ Template "${templateName}" not found.\n`));
     listTemplates();
     process.exit(1);
@@ -38,14 +55,73 @@ async function generateFromTemplate(templateName, customName, options) {
     category: template.category,
     properties: template.properties,
     events: template.events || [],
+    systemProperties: template.systemProperties,
+    needsEntityContext: template.needsEntityContext,
+    offlineCapable: template.offlineCapable,
+    platform: template.platform,
   };
 
-  console.log(chalk.cyan(`\n📦 Using template: ${chalk.bold(template.displayName)}`));
-  console.log(chalk.gray(`   ${template.description}\n`));
+  if (options.reporter !== 'json') {
+    console.log(chalk.cyan(`\n📦 Using template: ${chalk.bold(template.displayName)}`));
+    console.log(chalk.gray(`   ${template.description}\n`));
+  }
 
   await generateFromConfig(config, options);
 }
 
+// Ends a json-reporter run that failed before generation started
+function failJson(message) {
+  printJsonSummary({
+    ok: false,
+    name: null,
+    outputDir: null,
+    dryRun: false,
+    files: [],
+    mpkPath: null,
+    deployedTo: null,
+    warnings: [],
+    errors: [message],
+  });
+  process.exit(1);
+}
+
+// Builds a property from add-property flags, converting defaults to the property's value type
+function propertyFromOptions(options) {
+  const type = options.event ? 'action' : options.type || 'string';
+  const list = (value) => value?.split(',').map((v) => v.trim());
+  const defaultValue =
+    options.default === undefined
+      ? undefined
+      : type === 'boolean'
+      ? options.default === 'true'
+      : type === 'integer' || type === 'decimal'
+      ? Number(options.default)
+      : options.default;
+
+  const prop = {
+    key: options.key,
+    type,
+    caption:
+      options.caption ||
+      options.key.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase()),
+    description: options.description,
+    required: options.required,
+    defaultValue,
+    dataSource: options.dataSource,
+    returnType: options.returnType,
+    attributeTypes: list(options.attributeTypes),
+    enumValues: list(options.enumValues),
+  };
+  return Object.fromEntries(Object.entries(prop).filter(([, value]) => value !== undefined));
+}
+
+function printPropertyChanges(title, result) {
+  console.log(chalk.green(`\n✅ ${title}`));
+  result.changes.forEach((change) => console.log(chalk.gray(`   • ${change}`)));
+  result.warnings.forEach((warning) => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+  console.log('');
+}
+
 const program = new Command();
 
 // ASCII Art Banner
@@ -64,20 +140,70 @@ program
   .name('create-mendix-widget')
   .description('🧙 The fastest way to create Mendix pluggable widgets')
   .version(pkg.version)
+  // Options after a subcommand belong to it, so `validate --json` is not taken by the root --json
+  .enablePositionalOptions()
   .argument('[name]', 'Widget name (PascalCase)')
   .option('-t, --template <name>', 'Use a template (run --list-templates to see options)')
   .option('-c, --config <path>', 'Path to JSON config file')
   .option('-o, --output <path>', 'Output directory', '.')
   .option('-m, --mendix <path>', 'Mendix project widgets folder (for auto-deploy)')
+  .option(
+    '--mendix-version <version>',
+    'Target Mendix version for dependency versions (default: detected from --mendix)',
+    (value) => {
+      if (!parseMendixVersion(value)) {
+        throw new InvalidArgumentError('Use major.minor, such as 10.6 or 10.6.3.');
+      }
+      return value;
+    }
+  )
   .option('-l, --list-templates', 'List available templates')
-  .option('--no-install', 'Skip npm install')
-  .option('--no-build', 'Skip npm run build')
-  .action(async (name, options) => {
-    console.log(banner);
+  .option('--icon <path>', 'Toolbox icon (square PNG); a placeholder is generated without one')
+  .addOption(
+    new Option(
+      '--platform <platform>',
+      'Target platform: web, native (React Native) or both (default: the config, else web)'
+    ).choices(PLATFORMS)
+  )
+  .option('--no-install', 'Skip installing dependencies')
+  .option('--no-build', 'Skip building the widget')
+  .addOption(
+    new Option(
+      '--package-manager <name>',
+      'Install and build with npm, pnpm or yarn (default: detected from lockfiles)'
+    ).choices(PACKAGE_MANAGERS)
+  )
+  .addOption(
+    new Option('--offline', 'Install from the local package cache only').conflicts('preferOffline')
+  )
+  .option('--prefer-offline', 'Use the local package cache, falling back to the registry')
+  .option('--update', 'Regenerate an existing widget, merging changes into edited files')
+  .option('--dry-run', 'Show the files that would be generated without writing anything')
+  .addOption(
+    new Option('--reporter <name>', 'Output format').choices(['pretty', 'json']).default('pretty')
+  )
+  .option('--json', 'Print newline-delimited JSON events instead (same as --reporter json)')
+  .action(async (name, cliOptions) => {
+    const options = { ...cliOptions, reporter: cliOptions.json ? 'json' : cliOptions.reporter };
+    const json = options.reporter === 'json';
+    if (!json) {
+      console.log(banner);
+    }
 
     // List templates and exit
     if (options.listTemplates) {
-      listTemplates();
+      if (json) {
+        const templates = Object.entries(TEMPLATES).map(([id, t]) => ({
+          id,
+          displayName: t.displayName,
+          description: t.description,
+          category: t.category,
+          platform: t.platform || 'web',
+        }));
+        console.log(JSON.stringify({ event: 'templates', templates }));
+      } else {
+        listTemplates();
+      }
       process.exit(0);
     }
 
@@ -96,7 +222,10 @@ program
       return;
     }
 
-    // Interactive wizard (default)
+    // Interactive wizard (default); its prompts cannot share stdout with JSON events
+    if (json) {
+      failJson('--json needs --config or --template; the interactive wizard is not available');
+    }
     const config = await wizard(name);
 
     // Use paths from wizard or command line
@@ -109,4 +238,199 @@ program
     await generateFromConfig(config, finalOptions);
   });
 
+program
+  .command('validate')
+  .description('Check that an existing widget folder is consistent (ids, names, property usage)')
+  .argument('[dir]', 'Widget folder containing package.json and src/', '.')
+  .option('--json', 'Print the report as JSON')
+  .action(async (dir, options) => {
+    const report = await inspectWidgetProject(dir);
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(banner);
+      printInspectionReport(report);
+    }
+
+    process.exit(report.errors > 0 ? 1 : 0);
+  });
+
+program
+  .command('add-property')
+  .description('Add a property or event to an existing widget (prompts when --key is omitted)')
+  .argument('[dir]', 'Widget folder containing package.json and src/', '.')
+  .option('-k, --key <key>', 'Property key (camelCase), or event key such as onHover')
+  .option('-t, --type <type>', 'Property type (default: string)')
+  .option('--caption <text>', 'Caption shown in Studio Pro')
+  .option('--description <text>', 'Help text shown in Studio Pro')
+  .option('--required', 'Mark the property as required')
+  .option('--default <value>', 'Default value')
+  .option('--data-source <key>', 'Link the property to a datasource property')
+  .option('--return-type <type>', 'Return type for expression properties')
+  .option('--attribute-types <types>', 'Comma-separated attribute types, e.g. String,Integer')
+  .option('--enum-values <values>', 'Comma-separated enumeration keys')
+  .option('--event', 'Add an event (action) instead of a property')
+  .option('-g, --group <caption>', 'Property group to add to; use "Tab/Section" for sections')
+  .option('-w, --widget <name>', 'Widget to edit when the package contains several')
+  .action(async (dir, options) => {
+    console.log(banner);
+
+    try {
+      const prop = options.key
+        ? propertyFromOptions(options)
+        : options.event
+        ? await promptEvent()
+        : await promptProperty();
+
+      const result = await addProperty(dir, prop, options);
+      printPropertyChanges(`Added "${prop.key}" to ${result.widget}`, result);
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('remove-property')
+  .description('Remove a property or event from an existing widget')
+  .argument('<key>', 'Key of the property or event to remove')
+  .argument('[dir]', 'Widget folder containing package.json and src/', '.')
+  .option('-w, --widget <name>', 'Widget to edit when the package contains several')
+  .option('--force', 'Remove even when other properties reference it')
+  .action(async (key, dir, options) => {
+    console.log(banner);
+
+    try {
+      const result = await removeProperty(dir, key, options);
+      printPropertyChanges(`Removed "${key}" from ${result.widget}`, result);
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('import')
+  .description('Create a widget config from an existing widget folder (src/*.xml, package.json)')
+  .argument('<dir>', 'Widget folder containing package.json and src/')
+  .option('-o, --output <file>', 'Write the config to a file instead of printing it')
+  .option('-w, --widget <name>', 'Widget to import when the package contains several')
+  .option('--force', 'Overwrite the output file if it exists')
+  .action(async (dir, options) => {
+    try {
+      const { config, widget, warnings } = await importWidget(dir, options);
+      const json = `${JSON.stringify(config, null, 2)}\n`;
+
+      if (!options.output) {
+        // Keep stdout pure JSON so it can be redirected; notes go to stderr
+        process.stdout.write(json);
+        warnings.forEach((warning) => console.error(chalk.yellow(`⚠️  ${warning}`)));
+        return;
+      }
+
+      console.log(banner);
+      if ((await fs.pathExists(options.output)) && !options.force) {
+        throw new Error(`${options.output} already exists. Use --force to overwrite it.`);
+      }
+      await fs.writeFile(options.output, json);
+      console.log(chalk.green(`\n✅ Imported ${widget} into ${options.output}`));
+      console.log(
+        chalk.gray(
+          `   ${config.properties.length} properties, ${config.events.length} events, ` +
+            `${config.systemProperties.length} system properties`
+        )
+      );
+      warnings.forEach((warning) => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+      console.log(
+        chalk.gray(`\n   Regenerate with: create-mendix-widget --config ${options.output}\n`)
+      );
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exit(1);
+    }
+  });
+
+const i18n = program
+  .command('i18n')
+  .description('Export translatable texts of a widget config for translators, and import them');
+
+i18n
+  .command('export')
+  .description('Write captions, descriptions and text defaults to a CSV or XLIFF file')
+  .argument('<config>', 'Widget config (JSON)')
+  .option('-o, --output <file>', 'Write to a file instead of printing it')
+  .addOption(
+    new Option(
+      '-f, --format <format>',
+      'File format (default: from the extension, else csv)'
+    ).choices(I18N_FORMATS)
+  )
+  .option('-l, --languages <codes>', 'Comma-separated languages to add, e.g. nl_NL,de_DE')
+  .option('--force', 'Overwrite the output file if it exists')
+  .action(async (configPath, options) => {
+    try {
+      const config = await fs.readJson(configPath);
+      const format = detectI18nFormat(options.output, options.format);
+      const languages = options.languages?.split(',').map((l) => l.trim()) ?? [];
+      const result = exportTranslations(config, { format, languages });
+
+      if (!options.output) {
+        process.stdout.write(result.content);
+        return;
+      }
+
+      console.log(banner);
+      if ((await fs.pathExists(options.output)) && !options.force) {
+        throw new Error(`${options.output} already exists. Use --force to overwrite it.`);
+      }
+      await fs.writeFile(options.output, result.content);
+      console.log(chalk.green(`\n✅ Exported ${result.texts} texts to ${options.output}`));
+      console.log(chalk.gray(`   Languages: ${result.languages.join(', ')}`));
+      console.log(
+        chalk.gray(
+          `\n   Import the translations with: create-mendix-widget i18n import ${configPath} ` +
+            `${options.output}\n`
+        )
+      );
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exit(1);
+    }
+  });
+
+i18n
+  .command('import')
+  .description('Write the translations from a CSV or XLIFF file into a widget config')
+  .argument('<config>', 'Widget config (JSON) the file was exported from')
+  .argument('<file>', 'Translated CSV or XLIFF file')
+  .option('-o, --output <file>', 'Write the config to another file instead of updating it')
+  .addOption(
+    new Option(
+      '-f, --format <format>',
+      'File format (default: from the extension, else csv)'
+    ).choices(I18N_FORMATS)
+  )
+  .action(async (configPath, file, options) => {
+    console.log(banner);
+
+    try {
+      const config = await fs.readJson(configPath);
+      const content = await fs.readFile(file, 'utf8');
+      const format = detectI18nFormat(file, options.format);
+      const result = importTranslations(config, content, { format });
+
+      const output = options.output || configPath;
+      await fs.writeFile(output, `${JSON.stringify(result.config, null, 2)}\n`);
+      console.log(chalk.green(`\n✅ Imported ${result.updated} translations into ${output}`));
+      result.warnings.forEach((warning) => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+      console.log(
+        chalk.gray(`\n   Regenerate with: create-mendix-widget --config ${output} --update\n`)
+      );
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exit(1);
+    }
+  });
+
 program.parse();
@@ -0,0 +1,249 @@
+/**
+ * Widget Project Inspector
+ * Checks that the files of a generated or hand-edited widget folder agree with each other:
+ * widget id, package.xml, package.json name, MPK output name and component property usage.
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { findChild, findChildren, parseXml } from './xml.js';
+
+/**
+ * @typedef {Object} InspectionCheck
+ * @property {string} group - Files, Naming or Properties
+ * @property {boolean} ok
+ * @property {string} message
+ */
+
+/**
+ * Inspects a widget folder and returns a structured report; never throws for project problems.
+ * @returns {Promise<{ dir: string, widgets: string[], checks: InspectionCheck[], errors: number }>}
+ */
+export async function inspectWidgetProject(dir) {
+  const root = path.resolve(dir);
+  const checks = [];
+  const widgets = [];
+  const check = (group, ok, message) => checks.push({ group, ok: Boolean(ok), message });
+  const report = () => ({
+    dir: root,
+    widgets,
+    checks,
+    errors: checks.filter((c) => !c.ok).length,
+  });
+
+  const pkg = await readJson(path.join(root, 'package.json'));
+  check('Files', pkg.value, pkg.error || 'package.json found');
+
+  const packageXml = await readXml(path.join(root, 'src', 'package.xml'));
+  check('Files', packageXml.value, packageXml.error || 'src/package.xml found');
+  if (!packageXml.value) {
+    return report();
+  }
+
+  const clientModule = findChild(packageXml.value, 'clientModule');
+  const moduleName = clientModule?.attributes.name;
+  check(
+    'Files',
+    moduleName,
+    moduleName
+      ? `package.xml clientModule "${moduleName}"`
+      : 'package.xml has no <clientModule name="..."> element'
+  );
+
+  const widgetFiles = findChildren(findChild(clientModule, 'widgetFiles'), 'widgetFile').map(
+    (file) => file.attributes.path
+  );
+  check(
+    'Files',
+    widgetFiles.length > 0,
+    widgetFiles.length > 0
+      ? `package.xml lists ${widgetFiles.join(', ')}`
+      : 'package.xml lists no <widgetFile> entries'
+  );
+
+  if (pkg.value && moduleName) {
+    checkPackageNaming(check, pkg.value, moduleName, clientModule.attributes.version);
+  }
+
+  for (const widgetFile of widgetFiles) {
+    const widgetName = path.basename(widgetFile, '.xml');
+    widgets.push(widgetName);
+    await inspectWidget(check, root, widgetFile, widgetName, pkg.value);
+  }
+
+  // The tools build the widget named by widgetName; a suite's rollup.config.mjs adds the others
+  if (pkg.value?.widgetName !== undefined && widgetFiles.length > 0) {
+    const { widgetName } = pkg.value;
+    const widgetFile = widgetFiles.find((file) => path.basename(file, '.xml') === widgetName);
+    check(
+      'Naming',
+      widgetFile,
+      `package.json widgetName "${widgetName}" ${
+        widgetFile ? `matches ${widgetFile}` : `does not match ${widgetFiles.join(' or ')}`
+      }`
+    );
+  }
+
+  return report();
+}
+
+function checkPackageNaming(check, pkg, moduleName, moduleVersion) {
+  check(
+    'Naming',
+    pkg.name === moduleName.toLowerCase(),
+    `package.json name "${pkg.name}" ${
+      pkg.name === moduleName.toLowerCase()
+        ? 'matches'
+        : `should be "${moduleName.toLowerCase()}" for`
+    } clientModule "${moduleName}"`
+  );
+
+  const outputs = Object.entries(pkg.scripts || {})
+    .map(([script, command]) => [script, /MPKOUTPUT=(\S+)/.exec(command)?.[1]])
+    .filter(([, output]) => output);
+  for (const [script, output] of outputs) {
+    check(
+      'Naming',
+      output === `${moduleName}.mpk`,
+      output === `${moduleName}.mpk`
+        ? `"${script}" script builds ${output}`
+        : `"${script}" script builds ${output}, expected ${moduleName}.mpk`
+    );
+  }
+
+  if (moduleVersion && pkg.version) {
+    check(
+      'Naming',
+      moduleVersion === pkg.version,
+      moduleVersion === pkg.version
+        ? `package.xml version ${moduleVersion} matches package.json`
+        : `package.xml version ${moduleVersion} differs from package.json version ${pkg.version}`
+    );
+  }
+}
+
+async function inspectWidget(check, root, widgetFile, widgetName, pkg) {
+  const widgetXml = await readXml(path.join(root, 'src', widgetFile));
+  check('Files', widgetXml.value, widgetXml.error || `src/${widgetFile} found`);
+  if (!widgetXml.value) {
+    return;
+  }
+
+  // The widget id ends with "{package name}.{Widget name}", prefixed by packagePath when set
+  const id = widgetXml.value.attributes.id || '';
+  const expectedSuffix = pkg ? `.${pkg.name}.${widgetName}` : `.${widgetName}`;
+  const expectedId = pkg?.packagePath ? `${pkg.packagePath}${expectedSuffix}` : null;
+  const idOk = expectedId ? id === expectedId : id.endsWith(expectedSuffix);
+  check(
+    'Naming',
+    idOk,
+    idOk
+      ? `Widget id "${id}" matches ${widgetFile}`
+      : `Widget id "${id}" in ${widgetFile} should ${
+          expectedId ? `be "${expectedId}"` : `end with "${expectedSuffix}"`
+        }`
+  );
+
+  const componentFile = ['.tsx', '.jsx', '.ts', '.js']
+    .map((ext) => path.join('src', `${widgetName}${ext}`))
+    .find((file) => fs.existsSync(path.join(root, file)));
+  check(
+    'Files',
+    componentFile,
+    componentFile ? `${componentFile} found` : `src/${widgetName}.tsx is missing`
+  );
+  if (!componentFile) {
+    return;
+  }
+
+  // Keys may be consumed by the widget component itself or by the components it renders
+  const sources = [
+    path.join(root, componentFile),
+    ...(await findSources(path.join(root, 'src', 'components'))),
+  ];
+  const code = (await Promise.all(sources.map((file) => fs.readFile(file, 'utf8')))).join('\n');
+  const keys = collectPropertyKeys(findChild(widgetXml.value, 'properties'));
+  const unused = keys.filter((key) => !new RegExp(`\\b${key}\\b`).test(code));
+  check(
+    'Properties',
+    unused.length === 0,
+    unused.length === 0
+      ? `All ${keys.length} properties of ${widgetName} are used in the component`
+      : `${widgetName} does not use ${unused
+          .map((key) => `"${key}"`)
+          .join(', ')} in ${componentFile}`
+  );
+}
+
+// Walks property groups without entering object properties, whose nested keys live on the items
+function collectPropertyKeys(element) {
+  return (element?.children || []).flatMap((child) =>
+    child.name === 'property' ? [child.attributes.key] : collectPropertyKeys(child)
+  );
+}
+
+async function findSources(dir) {
+  if (!(await fs.pathExists(dir))) {
+    return [];
+  }
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(
+    entries.map((entry) =>
+      entry.isDirectory()
+        ? findSources(path.join(dir, entry.name))
+        : /\.[jt]sx?$/.test(entry.name)
+        ? [path.join(dir, entry.name)]
+        : []
+    )
+  );
+  return nested.flat();
+}
+
+async function readJson(file) {
+  if (!(await fs.pathExists(file))) {
+    return { error: `${path.basename(file)} is missing` };
+  }
+  try {
+    return { value: await fs.readJson(file) };
+  } catch (error) {
+    return { error: `${path.basename(file)} is not valid JSON: ${error.message}` };
+  }
+}
+
+async function readXml(file) {
+  const name = path.relative(path.dirname(path.dirname(file)), file);
+  if (!(await fs.pathExists(file))) {
+    return { error: `${name} is missing` };
+  }
+  try {
+    return { value: parseXml(await fs.readFile(file, 'utf8')) };
+  } catch (error) {
+    return { error: `${name} is not well-formed XML: ${error.message}` };
+  }
+}
+
+/** Prints an inspection report grouped by check category */
+export function printInspectionReport(report) {
+  console.log(chalk.cyan(`\n🔍 Validating ${chalk.bold(report.dir)}\n`));
+
+  for (const group of ['Files', 'Naming', 'Properties']) {
+    const checks = report.checks.filter((c) => c.group === group);
+    if (checks.length === 0) {
+      continue;
+    }
+    console.log(chalk.white.bold(`   ${group}`));
+    for (const c of checks) {
+      console.log(c.ok ? chalk.gray(`      ✅ ${c.message}`) : chalk.red(`      ❌ ${c.message}`));
+    }
+    console.log('');
+  }
+
+  if (report.errors === 0) {
+    console.log(chalk.green.bold('   ✅ Widget project is consistent\n'));
+  } else {
+    console.log(chalk.red.bold(`   ❌ ${report.errors} problem(s) found\n`));
+  }
+}
+
+export default { inspectWidgetProject, printInspectionReport };
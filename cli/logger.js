@@ -0,0 +1,37 @@
+/**
+ * Logger
+ * The generation API reports progress through a logger instead of printing, so it can run
+ * inside scripts, the VS Code extension or CI. Every method is optional: `{}` is a silent
+ * logger and `{ warn: console.warn }` only surfaces warnings. Errors are not logged; they are
+ * returned in the result.
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {(message: string) => void} [warn] - Also collected in the result's `warnings`
+ * @property {(step: string, message: string) => void} [stepStarted] - One of validate,
+ *   generate (plan for dry runs), install, build and deploy begins
+ * @property {(step: string, message: string) => void} [stepProgress] - The running step moved on
+ * @property {(step: string, outcome: { ok: boolean, message: string }) => void} [stepFinished] -
+ *   Install and build outcomes also carry the captured `stderr` and the `logPath` of
+ *   .cmw/build.log, build its parsed `diagnostics` and `mpkPath`, deploy `deployedTo`
+ * @property {(file: { path: string, size: number, status: string }) => void} [fileWritten]
+ */
+
+const METHODS = ['warn', 'stepStarted', 'stepProgress', 'stepFinished', 'fileWritten'];
+
+/**
+ * Returns a logger with every method defined, falling back to no-ops for missing ones.
+ * @param {Logger} [logger]
+ * @returns {Required<Logger>}
+ */
+export function createLogger(logger = {}) {
+  return Object.fromEntries(
+    METHODS.map((method) => [
+      method,
+      typeof logger[method] === 'function' ? logger[method].bind(logger) : () => {},
+    ])
+  );
+}
+
+export default { createLogger };
@@ -0,0 +1,124 @@
+/**
+ * Mendix Versions
+ * Finds the Mendix version a widget targets and picks the pluggable-widgets-tools, React and
+ * typings versions that match it from mendix-versions.json.
+ */
+
+import fs from 'fs-extra';
+import { createRequire } from 'module';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+const matrix = require('./mendix-versions.json');
+
+/**
+ * @typedef {Object} Dependencies
+ * @property {string} mendix - First Mendix version of the matrix row
+ * @property {string} pluggableWidgetsTools - @mendix/pluggable-widgets-tools range
+ * @property {string|null} typings - `mendix` package range, null when not pinned
+ * @property {string} react - React and ReactDOM version the runtime ships
+ * @property {string} typesReact - @types/react range
+ */
+
+/**
+ * Used when the target version is unknown. Same as the 10.21 row, but the `mendix` typings are
+ * left to pluggable-widgets-tools.
+ * @type {Dependencies}
+ */
+export const DEFAULT_DEPENDENCIES = {
+  ...matrix.versions.find((row) => row.mendix === '10.21'),
+  typings: null,
+};
+
+/**
+ * Parses `10.6`, `10.6.3` or a full build number such as `10.6.3.21817`.
+ * @returns {number[]|null} [major, minor, patch]
+ */
+export function parseMendixVersion(version) {
+  const match = /^(\d+)\.(\d+)(?:\.(\d+))?(?:\.\d+)?$/.exec(String(version).trim());
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+}
+
+function compareVersions(a, b) {
+  const [left, right] = [parseMendixVersion(a), parseMendixVersion(b)];
+  return left.map((part, i) => part - right[i]).find((diff) => diff !== 0) || 0;
+}
+
+/**
+ * Reads the Mendix version of a project, like MendixPathValidator.extractMendixVersion in the
+ * VS Code extension: the `.mpr.lock` Studio Pro writes while the project is open, then
+ * `.mendix-cache/version.json`.
+ * @param {string} projectPath - Project folder, or its widgets folder
+ * @returns {string|null}
+ */
+export function detectMendixVersion(projectPath) {
+  const projectDir = projectPath.endsWith('widgets') ? path.dirname(projectPath) : projectPath;
+  try {
+    const lockPath = path.join(projectDir, '.mpr.lock');
+    if (fs.existsSync(lockPath)) {
+      const versionMatch = fs.readFileSync(lockPath, 'utf8').match(/(\d+\.\d+\.\d+)/);
+      if (versionMatch) {
+        return versionMatch[1];
+      }
+    }
+
+    const cachePath = path.join(projectDir, '.mendix-cache', 'version.json');
+    if (fs.existsSync(cachePath)) {
+      const { version } = fs.readJsonSync(cachePath);
+      if (version && parseMendixVersion(version)) {
+        return String(version);
+      }
+    }
+  } catch {
+    // Unreadable metadata is the same as none
+  }
+  return null;
+}
+
+/**
+ * Picks the matrix row for a Mendix version: the last one that starts at or before it.
+ * @param {string} version
+ * @returns {Dependencies & { supported: boolean }} supported is false for versions older than
+ *   the first row, which then gets that row
+ */
+export function selectDependencies(version) {
+  const row = [...matrix.versions].reverse().find((r) => compareVersions(version, r.mendix) >= 0);
+  return row ? { ...row, supported: true } : { ...matrix.versions[0], supported: false };
+}
+
+/**
+ * Lists the property settings that the target Mendix version's widget XSD does not accept,
+ * including those of nested object properties. Every property type itself is available from
+ * the oldest matrix row on.
+ * @param {Object[]} properties - Config properties
+ * @param {string} version - Target Mendix version
+ * @returns {string[]} Path-qualified warnings
+ */
+export function findUnsupportedFeatures(properties, version, prefix = 'properties') {
+  return properties.flatMap((prop, index) => {
+    const at = `${prefix}[${index}]`;
+    const unsupported = Object.entries(matrix.features)
+      .filter(([feature]) => prop[feature] !== undefined && prop[feature].length !== 0)
+      .filter(([, since]) => compareVersions(version, since) < 0)
+      .map(
+        ([feature, since]) => `${at}.${feature} needs Mendix ${since} or later (target: ${version})`
+      );
+    return prop.type === 'object' && prop.properties
+      ? [...unsupported, ...findUnsupportedFeatures(prop.properties, version, `${at}.properties`)]
+      : unsupported;
+  });
+}
+
+/** Whether Studio Pro reads `{Name}.icon.png` and tile files instead of the base64 `<icon>` */
+export function supportsIconFiles(version) {
+  return compareVersions(version, matrix.iconFiles) >= 0;
+}
+
+export default {
+  DEFAULT_DEPENDENCIES,
+  parseMendixVersion,
+  detectMendixVersion,
+  selectDependencies,
+  findUnsupportedFeatures,
+  supportsIconFiles,
+};
@@ -0,0 +1,147 @@
+/**
+ * Three-Way Merge
+ * Line-based diff3 used by --update to carry generator changes into hand-edited files.
+ */
+
+/**
+ * Merges two descendants of a common base, like `git merge-file`.
+ * Regions changed on only one side are taken from that side; regions changed differently on
+ * both sides become conflicts wrapped in markers.
+ * @returns {{ content: string, conflicts: number }}
+ */
+export function mergeThreeWay(base, ours, theirs, labels = {}) {
+  const { ours: oursLabel = 'ours', theirs: theirsLabel = 'theirs' } = labels;
+  const [o, a, b] = [base, ours, theirs].map((text) => text.split('\n'));
+
+  const hunks = [
+    ...diffHunks(o, a).map((hunk) => ({ ...hunk, side: 'ours' })),
+    ...diffHunks(o, b).map((hunk) => ({ ...hunk, side: 'theirs' })),
+  ].sort((x, y) => x.baseStart - y.baseStart || x.baseEnd - y.baseEnd);
+
+  const output = [];
+  let conflicts = 0;
+  let cursor = 0;
+  let index = 0;
+
+  while (index < hunks.length) {
+    // Collect every hunk that touches the same (or an adjacent) stretch of the base
+    const region = [hunks[index]];
+    const start = hunks[index].baseStart;
+    let end = hunks[index].baseEnd;
+    index += 1;
+    while (index < hunks.length && hunks[index].baseStart <= end) {
+      end = Math.max(end, hunks[index].baseEnd);
+      region.push(hunks[index]);
+      index += 1;
+    }
+
+    output.push(...o.slice(cursor, start));
+    cursor = end;
+
+    const oursLines = sideLines(region, 'ours', a, o, start, end);
+    const theirsLines = sideLines(region, 'theirs', b, o, start, end);
+    if (!region.some((hunk) => hunk.side === 'theirs') || sameLines(oursLines, theirsLines)) {
+      output.push(...oursLines);
+    } else if (!region.some((hunk) => hunk.side === 'ours')) {
+      output.push(...theirsLines);
+    } else {
+      conflicts += 1;
+      output.push(
+        `<<<<<<< ${oursLabel}`,
+        ...oursLines,
+        '=======',
+        ...theirsLines,
+        `>>>>>>> ${theirsLabel}`
+      );
+    }
+  }
+
+  output.push(...o.slice(cursor));
+  return { content: output.join('\n'), conflicts };
+}
+
+// Lines a side has for the base range [start, end); untouched sides keep the base lines
+function sideLines(region, side, lines, base, start, end) {
+  const hunks = region.filter((hunk) => hunk.side === side);
+  if (hunks.length === 0) {
+    return base.slice(start, end);
+  }
+  const first = hunks[0];
+  const last = hunks[hunks.length - 1];
+  return lines.slice(
+    first.sideStart - (first.baseStart - start),
+    last.sideEnd + (end - last.baseEnd)
+  );
+}
+
+/** Changed regions between base and side as half-open line ranges */
+function diffHunks(base, side) {
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  for (const [matchI, matchJ] of [...commonLines(base, side), [base.length, side.length]]) {
+    if (matchI > i || matchJ > j) {
+      hunks.push({ baseStart: i, baseEnd: matchI, sideStart: j, sideEnd: matchJ });
+    }
+    i = matchI + 1;
+    j = matchJ + 1;
+  }
+  return hunks;
+}
+
+/** Index pairs of a longest common subsequence of two line arrays */
+function commonLines(a, b) {
+  // Shared prefix and suffix are matched directly to keep the table small
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+
+  const n = a.length - prefix - suffix;
+  const m = b.length - prefix - suffix;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      table[i][j] =
+        a[prefix + i] === b[prefix + j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  for (let k = 0; k < prefix; k += 1) {
+    pairs.push([k, k]);
+  }
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[prefix + i] === b[prefix + j]) {
+      pairs.push([prefix + i, prefix + j]);
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  for (let k = 0; k < suffix; k += 1) {
+    pairs.push([a.length - suffix + k, b.length - suffix + k]);
+  }
+  return pairs;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+export default { mergeThreeWay };
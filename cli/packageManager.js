@@ -0,0 +1,166 @@
+/**
+ * Package Manager
+ * Picks npm, pnpm or yarn for installing and building a generated widget, builds their
+ * command lines (including --offline / --prefer-offline) and explains offline cache misses.
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn'];
+
+export const TOOLS_PACKAGE = '@mendix/pluggable-widgets-tools';
+
+// Checked in this order in every directory, so pnpm wins in a folder that has two lockfiles
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm'],
+];
+
+// What each package manager prints when --offline needs something that is not cached
+const NOT_CACHED = /ENOTCACHED|ERR_PNPM_NO_OFFLINE_(TARBALL|META)|in our cache|offline mirror/;
+
+/**
+ * Finds the package manager of the workspace a widget is generated into: the nearest lockfile,
+ * or the `packageManager` field of a package.json, from `dir` up to the filesystem root.
+ * @param {string} dir - Widget folder or the output directory it lives in
+ * @returns {{ name: string, source: string|null }} source is the file that decided, null for
+ *   the npm default
+ */
+export function detectPackageManager(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    for (const [file, name] of LOCKFILES) {
+      if (fs.existsSync(path.join(current, file))) {
+        return { name, source: path.join(current, file) };
+      }
+    }
+    const declared = readPackageManagerField(path.join(current, 'package.json'));
+    if (declared) {
+      return { name: declared, source: path.join(current, 'package.json') };
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return { name: 'npm', source: null };
+    }
+    current = parent;
+  }
+}
+
+// "packageManager": "pnpm@8.15.0" (Corepack)
+function readPackageManagerField(file) {
+  try {
+    const name = fs.readJsonSync(file).packageManager?.split('@')[0];
+    return PACKAGE_MANAGERS.includes(name) ? name : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Arguments for installing dependencies. npm, pnpm and yarn (classic) all accept the same
+ * offline flags.
+ * @param {{ offline?: boolean, preferOffline?: boolean }} [options]
+ */
+export function installArgs({ offline, preferOffline } = {}) {
+  if (offline) {
+    return ['install', '--offline'];
+  }
+  return preferOffline ? ['install', '--prefer-offline'] : ['install'];
+}
+
+export function buildArgs() {
+  return ['run', 'build'];
+}
+
+/**
+ * Runs the package manager in `cwd`, capturing its output instead of inheriting the terminal.
+ * @returns {{ ok: boolean, command: string, status: number|null, stdout: string, stderr: string }}
+ */
+export function runPackageManager(name, args, cwd) {
+  const run = spawnSync(name, args, {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    shell: process.platform === 'win32',
+  });
+  return {
+    ok: run.status === 0,
+    command: `${name} ${args.join(' ')}`,
+    status: run.status,
+    stdout: run.stdout || '',
+    stderr: run.stderr || run.error?.message || '',
+  };
+}
+
+/**
+ * Checks before an --offline install that the pluggable-widgets-tools tarball can be resolved
+ * from the local cache. npm is asked directly; yarn classic lists its cache; pnpm has no
+ * query for this, so its install output is checked instead (see offlineCacheError).
+ * @param {string} name - Package manager
+ * @param {string} range - Version range from the generated package.json
+ * @returns {string|null} An actionable error, or null when the tarball is cached or the
+ *   package manager cannot tell
+ */
+export function checkOfflineCache(name, range) {
+  const spec = `${TOOLS_PACKAGE}@${range}`;
+  if (name === 'npm') {
+    const run = runPackageManager('npm', ['pack', spec, '--dry-run', '--offline'], os.tmpdir());
+    return run.ok || !NOT_CACHED.test(run.stderr) ? null : notCachedMessage(name, spec);
+  }
+  if (name === 'yarn') {
+    const run = runPackageManager(
+      'yarn',
+      ['cache', 'list', '--pattern', TOOLS_PACKAGE],
+      os.tmpdir()
+    );
+    // Yarn 2+ has no `cache list`; leave the answer to the install itself
+    return !run.ok || run.stdout.includes(TOOLS_PACKAGE) ? null : notCachedMessage(name, spec);
+  }
+  return null;
+}
+
+/**
+ * Turns a failed --offline install whose output reports a cache miss into an actionable error:
+ * the pre-check's message when the tools package is the one missing, a general one otherwise.
+ * @returns {string|null}
+ */
+export function offlineCacheError(name, range, output) {
+  if (!NOT_CACHED.test(output)) {
+    return null;
+  }
+  if (/@mendix(\/|%2f)pluggable-widgets-tools/i.test(output)) {
+    return notCachedMessage(name, `${TOOLS_PACKAGE}@${range}`);
+  }
+  return (
+    `Some dependencies are not in the local ${name} cache, so --offline cannot install them. ` +
+    `To fix this, run \`${name} install\` once while online, or use --prefer-offline`
+  );
+}
+
+function notCachedMessage(name, spec) {
+  const fill = {
+    npm: `run \`npm cache add ${spec}\` while online`,
+    pnpm: `run \`pnpm store add ${spec}\` while online`,
+    yarn: 'run `yarn install` once while online',
+  }[name];
+  return (
+    `${spec} is not in the local ${name} cache, so --offline cannot install it. ` +
+    `To fix this, ${fill}, or use --prefer-offline to fall back to the registry`
+  );
+}
+
+export default {
+  PACKAGE_MANAGERS,
+  TOOLS_PACKAGE,
+  detectPackageManager,
+  installArgs,
+  buildArgs,
+  runPackageManager,
+  checkOfflineCache,
+  offlineCacheError,
+};
@@ -0,0 +1,133 @@
+/**
+ * File Plan
+ * Generators write into an in-memory plan first; the plan is either flushed to disk or,
+ * for --dry-run, printed without touching the file system.
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Creates an empty plan. Paths are relative to the widget folder and always use `/`. Content
+ * is text, or a Buffer for binary files such as icons.
+ */
+export function createFilePlan() {
+  const files = new Map();
+
+  return {
+    write(file, content) {
+      files.set(toPosix(file), Buffer.isBuffer(content) ? content : String(content));
+    },
+
+    // Same output as fs-extra's writeJson, including the trailing newline
+    writeJson(file, value) {
+      files.set(toPosix(file), `${JSON.stringify(value, null, 2)}\n`);
+    },
+
+    has(file) {
+      return files.has(toPosix(file));
+    },
+
+    read(file) {
+      return files.get(toPosix(file));
+    },
+
+    /** @returns {{ path: string, size: number, content: string|Buffer }[]} Sorted by path */
+    entries() {
+      return [...files.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([file, content]) => ({ path: file, size: Buffer.byteLength(content), content }));
+    },
+
+    async flush(dir) {
+      for (const [file, content] of files) {
+        await fs.outputFile(path.join(dir, file), content);
+      }
+    },
+  };
+}
+
+/**
+ * Prints the planned file tree with sizes, followed by a highlighted preview of one file.
+ * @param {{ path: string, size: number, content: string }[]} entries - As from plan.entries()
+ */
+export function printFilePlan(entries, dir, previewFile) {
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  console.log(chalk.cyan.bold(`\n📋 Dry run: ${entries.length} files planned in ${dir}\n`));
+  console.log(chalk.white(`   ${path.basename(dir)}/`));
+  printTree(buildTree(entries), '   ');
+  console.log(chalk.gray(`\n   Total: ${formatSize(total)}`));
+
+  const preview = entries.find((entry) => entry.path === previewFile);
+  if (preview) {
+    console.log(chalk.cyan.bold(`\n📄 ${previewFile}\n`));
+    console.log(highlightXml(preview.content));
+  }
+
+  console.log(chalk.yellow('\n   Nothing was written. Run again without --dry-run to generate.\n'));
+}
+
+function buildTree(entries) {
+  const root = { dirs: new Map(), files: [] };
+  for (const entry of entries) {
+    const parts = entry.path.split('/');
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!node.dirs.has(part)) {
+        node.dirs.set(part, { dirs: new Map(), files: [] });
+      }
+      node = node.dirs.get(part);
+    }
+    node.files.push({ name: parts[parts.length - 1], size: entry.size });
+  }
+  return root;
+}
+
+function printTree(node, prefix) {
+  const items = [
+    ...[...node.dirs.entries()].map(([name, child]) => ({ name: `${name}/`, child })),
+    ...node.files,
+  ];
+  items.forEach((item, index) => {
+    const last = index === items.length - 1;
+    const branch = `${prefix}${last ? '└── ' : '├── '}`;
+    if (item.child) {
+      console.log(chalk.white(`${branch}${item.name}`));
+      printTree(item.child, `${prefix}${last ? '    ' : '│   '}`);
+    } else {
+      const label = `${branch}${item.name}`;
+      console.log(
+        `${chalk.white(label.padEnd(50))} ${chalk.gray(formatSize(item.size).padStart(9))}`
+      );
+    }
+  });
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/** Colors tags, attributes, values and comments of an XML document for the terminal */
+export function highlightXml(xml) {
+  return xml.replace(
+    /(<!--[\s\S]*?-->)|(<\?[\s\S]*?\?>)|(<\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*"[^"]*")*)(\s*\/?>)/g,
+    (match, comment, declaration, open, tag, attributes, close) => {
+      if (comment || declaration) {
+        return chalk.gray(match);
+      }
+      const coloredAttributes = attributes.replace(
+        /([\w:.-]+)(\s*=\s*)("[^"]*")/g,
+        (_all, name, equals, value) => `${chalk.yellow(name)}${equals}${chalk.green(value)}`
+      );
+      return `${chalk.cyan(open + tag)}${coloredAttributes}${chalk.cyan(close)}`;
+    }
+  );
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+export default { createFilePlan, printFilePlan, highlightXml };
@@ -0,0 +1,58 @@
+/**
+ * Target Platforms
+ * Maps the `platform` config value (web, native or both) onto the widget XML's
+ * supportedPlatform and the pluggable-widgets-tools scripts of the generated package.json.
+ */
+
+export const PLATFORMS = ['web', 'native', 'both'];
+
+// supportedPlatform values of custom_widget.xsd
+const SUPPORTED_PLATFORMS = { web: 'Web', native: 'Native', both: 'All' };
+
+/** Returns the widget XML's supportedPlatform for a config platform */
+export function toSupportedPlatform(platform = 'web') {
+  return SUPPORTED_PLATFORMS[platform];
+}
+
+/** Returns the config platform for a widget XML's supportedPlatform, or null when unknown */
+export function fromSupportedPlatform(supportedPlatform = 'Web') {
+  const entry = Object.entries(SUPPORTED_PLATFORMS).find(
+    ([, value]) => value === supportedPlatform
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Returns the package.json scripts for a platform. `build` is the one the generator runs.
+ * The tools compile one entry for each platform and clear `dist/` on every build, so a widget
+ * for both platforms gets separate `build` (web) and `build:native` scripts.
+ */
+export function getPlatformScripts(name, platform = 'web') {
+  const build = (target) =>
+    `cross-env MPKOUTPUT=${name}.mpk pluggable-widgets-tools build:${target}`;
+
+  switch (platform) {
+    case 'native':
+      return {
+        build: build('native'),
+        dev: 'pluggable-widgets-tools start:native',
+        test: 'pluggable-widgets-tools test:unit:native',
+      };
+    case 'both':
+      return {
+        build: build('web'),
+        'build:native': build('native'),
+        dev: 'pluggable-widgets-tools start:web',
+        'dev:native': 'pluggable-widgets-tools start:native',
+        test: 'pluggable-widgets-tools test:unit:web',
+      };
+    default:
+      return {
+        build: build('web'),
+        dev: 'pluggable-widgets-tools start:web',
+        test: 'pluggable-widgets-tools test:unit:web',
+      };
+  }
+}
+
+export default { PLATFORMS, toSupportedPlatform, fromSupportedPlatform, getPlatformScripts };
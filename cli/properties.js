@@ -0,0 +1,673 @@
+/**
+ * Property Editing
+ * Adds or removes a single property or event on an existing widget by patching the widget XML,
+ * typings and component in place, leaving the rest of each file untouched.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { toJsString, toJsxText } from './escape.js';
+import {
+  MENDIX_TYPES,
+  generateEventXml,
+  generatePropertyXml,
+  getContainerProp,
+  getEnumTypeName,
+  getPreviewProp,
+  normalizeProperties,
+  toKebabCase,
+} from './generator.js';
+import { localizeProperties } from './i18n.js';
+import { fromSupportedPlatform } from './platform.js';
+import { validateProperty } from './validator.js';
+import { findChild, findChildren, parseXml } from './xml.js';
+
+/**
+ * Adds a property (or an event when `options.event` is set) to the widget in `dir`.
+ * @param {Object} prop - Property in widget config format
+ * @param {Object} options - `{ event, group, widget }`; group is a caption path like "General/Data"
+ * @returns {Promise<{ widget: string, changes: string[], warnings: string[] }>}
+ * @throws {Error} When the property is invalid or the widget files cannot be patched
+ */
+export async function addProperty(dir, prop, options = {}) {
+  const widget = await locateWidget(dir, options.widget);
+  const source = await fs.readFile(widget.xmlPath, 'utf8');
+  const root = parseXml(source);
+  const existing = collectProperties(findChild(root, 'properties')).map(
+    (element) => element.attributes
+  );
+
+  const errors = validateProperty(prop, { isEvent: options.event, existing });
+  if (errors.length > 0) {
+    throw new Error(`Invalid property:\n${errors.map((e) => `  • ${e}`).join('\n')}`);
+  }
+
+  const changes = [];
+  const warnings = [];
+  const native = isNative(root);
+  const linked = existing.some((p) => p.type === 'datasource' && p.key === prop.dataSource);
+  const [normalized] = localizeProperties(
+    normalizeProperties([options.event ? { ...prop, type: 'action' } : prop]),
+    (warning) => warnings.push(warning)
+  );
+
+  // Widget XML
+  const { group, label } = findTargetGroup(root, options.group, options.event);
+  const xml = insertPropertyXml(source, group, (indent) =>
+    options.event ? generateEventXml(normalized, indent) : generatePropertyXml(normalized, indent)
+  );
+  await fs.writeFile(widget.xmlPath, xml);
+  changes.push(`${widget.xmlFile}: added to ${label}`);
+
+  // Typings
+  if (await fs.pathExists(widget.typingsPath)) {
+    const typings = await fs.readFile(widget.typingsPath, 'utf8');
+    await fs.writeFile(
+      widget.typingsPath,
+      addTypings(typings, widget.name, normalized, linked, native)
+    );
+    changes.push(`${widget.typingsFile}: ${native ? 'Props' : 'ContainerProps'} and PreviewProps`);
+  } else {
+    warnings.push(`${widget.typingsFile} not found; it is generated on the next build`);
+  }
+
+  // Component
+  if (await fs.pathExists(widget.componentPath)) {
+    const component = await fs.readFile(widget.componentPath, 'utf8');
+    const patched = addToComponent(component, widget.name, normalized, { native, linked });
+    if (patched) {
+      await fs.writeFile(widget.componentPath, patched);
+      changes.push(`${widget.componentFile}: "${normalized.key}" destructured and rendered`);
+    } else {
+      warnings.push(
+        `Could not find the ${widget.name}${native ? 'Props' : 'ContainerProps'} destructuring ` +
+          `in ${widget.componentFile}; add "${normalized.key}" by hand`
+      );
+    }
+  }
+
+  // Unit tests build every required prop in defaultProps(); new ones are left for you to add
+  const specFile = `src/__tests__/${widget.name}.spec.tsx`;
+  const containerProp = getContainerProp(normalized, linked, native);
+  if (
+    containerProp &&
+    !containerProp.startsWith(`${normalized.key}?`) &&
+    (await fs.pathExists(path.join(path.dirname(widget.xmlPath), '..', specFile)))
+  ) {
+    warnings.push(`${specFile}: add "${normalized.key}" to defaultProps() so the tests compile`);
+  }
+
+  return { widget: widget.name, changes, warnings };
+}
+
+/**
+ * Removes a property or event from the widget in `dir`.
+ * @param {Object} options - `{ widget, force }`; force removes it even when others reference it
+ * @returns {Promise<{ widget: string, changes: string[], warnings: string[] }>}
+ * @throws {Error} When the key does not exist or is still referenced
+ */
+export async function removeProperty(dir, key, options = {}) {
+  const widget = await locateWidget(dir, options.widget);
+  const source = await fs.readFile(widget.xmlPath, 'utf8');
+  const root = parseXml(source);
+  const elements = collectProperties(findChild(root, 'properties'));
+  const element = elements.find((e) => e.attributes.key === key);
+  if (!element) {
+    throw new Error(`${widget.xmlFile} has no property or event "${key}"`);
+  }
+
+  const referencedBy = elements
+    .filter((e) =>
+      ['dataSource', 'onChange', 'selectableObjects'].some((a) => e.attributes[a] === key)
+    )
+    .map((e) => e.attributes.key);
+  if (referencedBy.length > 0 && !options.force) {
+    throw new Error(
+      `"${key}" is referenced by ${referencedBy.map((k) => `"${k}"`).join(', ')}. ` +
+        'Remove those first or use --force.'
+    );
+  }
+
+  const changes = [];
+  const warnings = [];
+
+  await fs.writeFile(widget.xmlPath, removeElement(source, root, element));
+  changes.push(`${widget.xmlFile}: removed <property key="${key}">`);
+
+  if (await fs.pathExists(widget.typingsPath)) {
+    const typings = await fs.readFile(widget.typingsPath, 'utf8');
+    await fs.writeFile(
+      widget.typingsPath,
+      removeTypings(typings, widget.name, element.attributes, isNative(root))
+    );
+    changes.push(
+      `${widget.typingsFile}: ${isNative(root) ? 'Props' : 'ContainerProps'} and PreviewProps`
+    );
+  }
+
+  if (await fs.pathExists(widget.componentPath)) {
+    const linked = elements.some(
+      (e) =>
+        e.attributes.type === 'datasource' && e.attributes.key === element.attributes.dataSource
+    );
+    const component = removeFromComponent(
+      await fs.readFile(widget.componentPath, 'utf8'),
+      widget.name,
+      element.attributes,
+      { native: isNative(root), linked }
+    );
+    await fs.writeFile(widget.componentPath, component);
+    changes.push(`${widget.componentFile}: removed "${key}" from the props`);
+
+    const uses = component.match(new RegExp(`\\b${key}\\b`, 'g'))?.length || 0;
+    if (uses > 0) {
+      warnings.push(`${widget.componentFile} still references "${key}" ${uses} time(s)`);
+    }
+  }
+
+  // The preview, editor config and unit tests are left for you to edit
+  for (const file of [
+    `src/${widget.name}.editorPreview.tsx`,
+    `src/${widget.name}.editorConfig.ts`,
+    `src/__tests__/${widget.name}.spec.tsx`,
+  ]) {
+    const fullPath = path.join(path.dirname(widget.xmlPath), '..', file);
+    if (await fs.pathExists(fullPath)) {
+      const uses =
+        (await fs.readFile(fullPath, 'utf8')).match(new RegExp(`\\b${key}\\b`, 'g'))?.length || 0;
+      if (uses > 0) {
+        warnings.push(`${file} still references "${key}" ${uses} time(s)`);
+      }
+    }
+  }
+
+  return { widget: widget.name, changes, warnings };
+}
+
+async function locateWidget(dir, widgetName) {
+  const root = path.resolve(dir);
+  const packageXml = path.join(root, 'src', 'package.xml');
+  if (!(await fs.pathExists(packageXml))) {
+    throw new Error(`${packageXml} not found. Is ${root} a widget folder?`);
+  }
+
+  const clientModule = findChild(parseXml(await fs.readFile(packageXml, 'utf8')), 'clientModule');
+  const names = findChildren(findChild(clientModule, 'widgetFiles'), 'widgetFile').map((file) =>
+    path.basename(file.attributes.path, '.xml')
+  );
+  if (names.length === 0) {
+    throw new Error('src/package.xml lists no <widgetFile> entries');
+  }
+  if (widgetName && !names.includes(widgetName)) {
+    throw new Error(`Widget "${widgetName}" not found. Available: ${names.join(', ')}`);
+  }
+  if (!widgetName && names.length > 1) {
+    throw new Error(
+      `This package has several widgets; pick one with --widget (${names.join(', ')})`
+    );
+  }
+
+  const name = widgetName || names[0];
+  const files = {
+    xmlFile: `src/${name}.xml`,
+    typingsFile: `typings/${name}Props.d.ts`,
+    componentFile: `src/${name}.tsx`,
+  };
+  return {
+    name,
+    ...files,
+    xmlPath: path.join(root, files.xmlFile),
+    typingsPath: path.join(root, files.typingsFile),
+    componentPath: path.join(root, files.componentFile),
+  };
+}
+
+// Top-level property elements; object properties keep their nested keys to themselves
+function collectProperties(element) {
+  return (element?.children || []).flatMap((child) =>
+    child.name === 'property' ? [child] : collectProperties(child)
+  );
+}
+
+// ============================================================================
+// WIDGET XML
+// ============================================================================
+
+/**
+ * Resolves the element new properties go into: the group named by `groupPath`, the "Events"
+ * tab (or the group holding the last action) for events, or the first (innermost) group of
+ * the first tab.
+ */
+function findTargetGroup(root, groupPath, isEvent) {
+  const properties = findChild(root, 'properties');
+  const tabs = findChildren(properties, 'propertyGroup');
+  if (tabs.length === 0) {
+    return { group: properties, label: '<properties>' };
+  }
+
+  if (groupPath) {
+    let group = null;
+    let candidates = tabs;
+    for (const caption of groupPath.split('/')) {
+      group = candidates.find((g) => g.attributes.caption === caption.trim());
+      if (!group) {
+        const available = candidates.map((g) => `"${g.attributes.caption}"`).join(', ');
+        throw new Error(`Property group "${groupPath}" not found. Available here: ${available}`);
+      }
+      candidates = findChildren(group, 'propertyGroup');
+    }
+    return { group, label: `group "${groupPath}"` };
+  }
+
+  if (isEvent) {
+    const events = tabs.find((tab) => tab.attributes.caption === 'Events');
+    if (events) {
+      return { group: events, label: 'group "Events"' };
+    }
+    // Custom layouts: keep the new event next to the existing ones
+    const lastAction = collectProperties(properties)
+      .filter((element) => element.attributes.type === 'action')
+      .pop();
+    if (lastAction) {
+      const group = findParent(properties, lastAction);
+      return { group, label: `group "${group.attributes.caption}"` };
+    }
+  }
+
+  let group = tabs[0];
+  const captions = [group.attributes.caption];
+  while (findChildren(group, 'propertyGroup').length > 0) {
+    group = findChildren(group, 'propertyGroup')[0];
+    captions.push(group.attributes.caption);
+  }
+  return { group, label: `group "${captions.join('/')}"` };
+}
+
+function insertPropertyXml(source, group, render) {
+  const last = findChildren(group, 'property').pop() || group.children[group.children.length - 1];
+  if (last) {
+    return `${source.slice(0, last.end)}\n${render(indentOf(source, last))}${source.slice(
+      last.end
+    )}`;
+  }
+
+  const close = source.lastIndexOf('</', group.end - 1);
+  if (close <= group.start) {
+    throw new Error(`Cannot add to the empty self-closing <${group.name}> element`);
+  }
+  const indent = indentOf(source, group);
+  return `${source.slice(0, close).trimEnd()}\n${render(`${indent}    `)}\n${indent}${source.slice(
+    close
+  )}`;
+}
+
+// Removes an element and its line; groups left empty are removed with it
+function removeElement(source, root, element) {
+  const parent = findParent(root, element);
+  if (parent && parent.name === 'propertyGroup' && parent.children.length === 1) {
+    return removeElement(source, root, parent);
+  }
+  const lineStart = source.lastIndexOf('\n', element.start);
+  return source.slice(0, lineStart) + source.slice(element.end);
+}
+
+function findParent(node, element) {
+  for (const child of node.children) {
+    if (child === element) {
+      return node;
+    }
+    const found = findParent(child, element);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function indentOf(source, element) {
+  const lineStart = source.lastIndexOf('\n', element.start) + 1;
+  const prefix = source.slice(lineStart, element.start);
+  return /^\s*$/.test(prefix) ? prefix : '';
+}
+
+// ============================================================================
+// TYPINGS
+// ============================================================================
+
+// Native widgets type their runtime props as `{Name}Props<Style>` instead of ContainerProps
+function isNative(root) {
+  return fromSupportedPlatform(root.attributes.supportedPlatform) === 'native';
+}
+
+function propsInterface(name, native) {
+  return native ? `${name}Props<Style>` : `${name}ContainerProps`;
+}
+
+function addTypings(source, name, prop, linked, native) {
+  let result = source;
+  result = appendToInterface(
+    result,
+    propsInterface(name, native),
+    getContainerProp(prop, linked, native)
+  );
+  result = appendToInterface(result, `${name}PreviewProps`, getPreviewProp(prop));
+
+  if (prop.type === 'enumeration') {
+    const enumType = `export type ${getEnumTypeName(prop)} = ${prop.options
+      .map((o) => toJsString(o.key))
+      .join(' | ')};`;
+    const firstDeclaration = result.search(/^export (interface|type) /m);
+    result = `${result.slice(0, firstDeclaration)}${enumType}\n\n${result.slice(firstDeclaration)}`;
+  }
+
+  return addTypeImports(result);
+}
+
+function appendToInterface(source, interfaceName, line) {
+  const start = source.indexOf(`export interface ${interfaceName} {`);
+  if (start === -1 || !line) {
+    return source;
+  }
+  const end = source.indexOf('\n}', start);
+  return `${source.slice(0, end)}\n    ${line}${source.slice(end)}`;
+}
+
+// Adds imports for any type the typings now use but do not import yet
+function addTypeImports(source) {
+  const body = source.replace(/^import .*$/gm, '');
+  const uses = (type) => new RegExp(`\\b${type}\\b`).test(body);
+  const imported = (type) => new RegExp(`^import .*\\b${type}\\b.*$`, 'm').test(source);
+
+  let result = source;
+  const modules = [
+    ['react', ['ComponentType', 'CSSProperties', 'ReactNode']],
+    ['mendix', MENDIX_TYPES],
+    ['big.js', ['Big']],
+  ];
+  for (const [module, types] of modules) {
+    result = addNamedImports(
+      result,
+      module,
+      types.filter((type) => uses(type) && !imported(type))
+    );
+  }
+  return result;
+}
+
+// Merges names into the `import { ... } from "module";` line, or adds one after the last import
+function addNamedImports(source, module, names) {
+  if (names.length === 0) {
+    return source;
+  }
+  const pattern = new RegExp(
+    `^import \\{ (.*) \\} from "${module.replace(/[./]/g, '\\$&')}";$`,
+    'm'
+  );
+  const match = pattern.exec(source);
+  if (match) {
+    const current = match[1].split(', ');
+    const missing = names.filter((name) => !current.includes(name));
+    return source.replace(
+      pattern,
+      `import { ${[...current, ...missing].join(', ')} } from "${module}";`
+    );
+  }
+  const lastImport = [...source.matchAll(/^import .*$/gm)].pop();
+  const at = lastImport ? lastImport.index + lastImport[0].length : 0;
+  return `${source.slice(0, at)}\nimport { ${names.join(', ')} } from "${module}";${source.slice(
+    at
+  )}`;
+}
+
+function removeTypings(source, name, attributes, native) {
+  let result = source;
+  const removed = [];
+  for (const interfaceName of [propsInterface(name, native), `${name}PreviewProps`]) {
+    const start = result.indexOf(`export interface ${interfaceName} {`);
+    if (start === -1) {
+      continue;
+    }
+    const end = result.indexOf('\n}', start);
+    const body = result
+      .slice(start, end)
+      .replace(new RegExp(`\\n    ${attributes.key}\\??: .*;(?=\\n|$)`), (line) => {
+        removed.push(line);
+        return '';
+      });
+    result = result.slice(0, start) + body + result.slice(end);
+  }
+
+  if (attributes.type === 'enumeration') {
+    const enumName = getEnumTypeName({ key: attributes.key });
+    result = result.replace(new RegExp(`^export type ${enumName} = .*;\\n\\n?`, 'm'), '');
+  }
+  return removeTypeImports(result, removed.join('\n'));
+}
+
+// Drops imports of types only the removed lines used, and import lines left empty
+function removeTypeImports(source, removed) {
+  const body = source.replace(/^import .*$/gm, '');
+  const unused = (type) =>
+    new RegExp(`\\b${type}\\b`).test(removed) && !new RegExp(`\\b${type}\\b`).test(body);
+  return source.replace(/^import \{ (.*) \} from "(.*)";\n/gm, (line, names, module) => {
+    const kept = names.split(', ').filter((type) => !unused(type));
+    if (kept.length === 0) {
+      return '';
+    }
+    return `import { ${kept.join(', ')} } from "${module}";\n`;
+  });
+}
+
+// ============================================================================
+// COMPONENT
+// ============================================================================
+
+function findDestructuring(source, name) {
+  return new RegExp(
+    `\\(\\{([\\s\\S]*?)\\}\\s*:\\s*${name}(?:ContainerProps|Props<\\w+>)\\s*\\)[^{]*\\{\\n`
+  ).exec(source);
+}
+
+/**
+ * Destructures the new prop and renders it at the end of the root element, so the component
+ * keeps compiling under noUnusedParameters. Returns null when the destructuring or the root
+ * element cannot be found.
+ */
+function addToComponent(source, name, prop, options) {
+  const { line, imports } = renderPropertyUse(prop, name, options);
+  let result = source;
+  if (options.linked && prop.type !== 'selection') {
+    result = addDestructuring(result, name, prop.dataSource);
+  }
+  result = result && addDestructuring(result, name, prop.key);
+  const match = result && findDestructuring(result, name);
+  if (!match) {
+    return null;
+  }
+
+  const bodyStart = match.index + match[0].length;
+  const close = /\n([ \t]*)<\/[\w.]+>\n[ \t]*\);\n\}/.exec(result.slice(bodyStart));
+  if (!close) {
+    return null;
+  }
+  const at = bodyStart + close.index;
+  result = `${result.slice(0, at)}\n${close[1]}    ${line}${result.slice(at)}`;
+  for (const [module, names] of imports) {
+    result = addNamedImports(result, module, names);
+  }
+  return result;
+}
+
+// Drops the element addToComponent rendered, the destructured key and imports only it used
+function removeFromComponent(source, name, attributes, options) {
+  const { line } = renderPropertyUse(attributes, name, options);
+  const escaped = line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let result = source.replace(new RegExp(`^[ \t]*${escaped}\n`, 'm'), '');
+  result = removeDestructuring(result, name, attributes.key);
+
+  // A datasource destructured only for this property goes with it
+  const match = findDestructuring(result, name);
+  const { dataSource } = attributes;
+  if (
+    match &&
+    options.linked &&
+    !new RegExp(`\\b${dataSource}\\b`).test(result.slice(match.index + match[0].length))
+  ) {
+    result = removeDestructuring(result, name, dataSource);
+  }
+  return removeTypeImports(result, line);
+}
+
+/**
+ * Renders a single line of JSX that uses the prop, mirroring the generated component: linked
+ * props are read per item of their datasource.
+ * @returns {{ line: string, imports: Array<[string, string[]]> }}
+ */
+function renderPropertyUse(prop, name, { native, linked }) {
+  const { key, type } = prop;
+  const perItem = linked && type !== 'selection';
+  const value = perItem ? `${key}?.get(item)` : key;
+  const attributes = [
+    perItem ? 'key={item.id}' : '',
+    native ? `testID="${key}"` : `className="widget-${name.toLowerCase()}__${toKebabCase(key)}"`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+  const text = native ? 'Text' : 'span';
+  const box = native ? 'View' : 'div';
+  const imports = [];
+  const use = (module, ...names) => imports.push([module, names]);
+
+  let element;
+  switch (type) {
+    case 'decimal':
+      element = `<${text} ${attributes}>{${key}.toString()}</${text}>`;
+      break;
+    case 'boolean':
+      element = `{${key} && <${box} ${attributes} />}`;
+      break;
+    case 'textTemplate':
+    case 'expression':
+      element = `<${text} ${attributes}>{String(${value}?.value ?? "")}</${text}>`;
+      break;
+    case 'attribute':
+      element = `<${text} ${attributes}>{${value}?.displayValue}</${text}>`;
+      break;
+    case 'association':
+      element = `<${text} ${attributes}>{${value}?.status}</${text}>`;
+      break;
+    case 'selection':
+      element = `<${text} ${attributes}>{${key}?.type}</${text}>`;
+      break;
+    case 'datasource':
+      element = `<${text} ${attributes}>{${key}?.items?.length}</${text}>`;
+      break;
+    case 'object':
+      element = `<${text} ${attributes}>{${key}.length}</${text}>`;
+      break;
+    case 'widgets':
+      element = `<${box} ${attributes}>{${value}}</${box}>`;
+      break;
+    case 'file':
+      element = native
+        ? `<Text ${attributes}>{${key}?.value?.name}</Text>`
+        : `<a ${attributes} href={${key}?.value?.uri}>{${key}?.value?.name}</a>`;
+      break;
+    case 'image':
+      if (native) {
+        use('mendix/components/native/Image', 'Image');
+        element = `{${key}?.value && <Image ${attributes} source={${key}.value} />}`;
+      } else {
+        element = `<img ${attributes} src={${key}?.value?.uri} alt={${key}?.value?.altText ?? ""} />`;
+      }
+      break;
+    case 'icon':
+      use(`mendix/components/${native ? 'native' : 'web'}/Icon`, 'Icon');
+      element = `{${key}?.value && <Icon icon={${key}.value} />}`;
+      break;
+    case 'action':
+      element = native
+        ? `<Pressable ${attributes} onPress={() => ${value}?.execute()}><Text>${toJsxText(
+            key
+          )}</Text></Pressable>`
+        : `<button type="button" ${attributes} onClick={() => ${value}?.execute()}>${toJsxText(
+            key
+          )}</button>`;
+      break;
+    default:
+      element = `<${text} ${attributes}>{${key}}</${text}>`;
+  }
+
+  if (native) {
+    const components = ['Pressable', 'Text', 'View'].filter((c) =>
+      new RegExp(`<${c}\\b`).test(element)
+    );
+    use('react-native', ...components);
+  }
+  return {
+    line: perItem ? `{${prop.dataSource}?.items?.map(item => ${element})}` : element,
+    imports: imports.filter(([, names]) => names.length > 0),
+  };
+}
+
+/**
+ * Adds the key to the props destructuring, unless it is there already. Returns null when no
+ * destructuring is found.
+ */
+function addDestructuring(source, name, key) {
+  const match = findDestructuring(source, name);
+  if (!match) {
+    return null;
+  }
+
+  const items = match[1];
+  if (items.split(',').some((part) => new RegExp(`^\\s*${key}(\\s*[:=][^,]*)?\\s*$`).test(part))) {
+    return source;
+  }
+  const trimmed = items.trimEnd();
+  const multiline = items.includes('\n');
+  const itemIndent = multiline ? /\n(\s*)\S[^\n]*$/.exec(trimmed)?.[1] ?? '    ' : '';
+  const added = trimmed
+    ? `${trimmed},${multiline ? `\n${itemIndent}` : ' '}${key}${items.slice(trimmed.length)}`
+    : ` ${key} `;
+
+  return (
+    source.slice(0, match.index) +
+    match[0].replace(items, added) +
+    source.slice(match.index + match[0].length)
+  );
+}
+
+function removeDestructuring(source, name, key) {
+  const match = findDestructuring(source, name);
+  if (!match) {
+    return source;
+  }
+
+  const item = new RegExp(`^\\s*${key}(\\s*[:=][^,]*)?\\s*$`);
+  const parts = match[1].split(',');
+  const index = parts.findIndex((part) => item.test(part));
+  if (index === -1) {
+    return source;
+  }
+
+  let items;
+  if (
+    index === parts.length - 1 ||
+    (index === parts.length - 2 && !parts[parts.length - 1].trim())
+  ) {
+    // Last item: drop it together with the comma before it, keep the closing whitespace
+    const trailing = /\s*$/.exec(parts[index])[0];
+    items = parts.slice(0, index).join(',') + trailing + parts.slice(index + 1).join(',');
+  } else {
+    items = [...parts.slice(0, index), ...parts.slice(index + 1)].join(',');
+  }
+
+  return (
+    source.slice(0, match.index) +
+    match[0].replace(match[1], items) +
+    source.slice(match.index + match[0].length)
+  );
+}
+
+export default { addProperty, removeProperty };
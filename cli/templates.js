@@ -116,6 +116,7 @@ export const TEMPLATES = {
         defaultValue: false,
       },
     ],
+    systemProperties: ['Label', 'Name', 'TabIndex', 'Editability', 'Visibility'],
     events: [
       { key: 'onChange', caption: 'On Change', description: 'Triggered when value changes' },
       { key: 'onBlur', caption: 'On Blur', description: 'Triggered when field loses focus' },
@@ -207,6 +208,21 @@ export const TEMPLATES = {
         caption: 'Tabs',
         description: 'Tab definitions',
         isList: true,
+        properties: [
+          {
+            key: 'caption',
+            type: 'textTemplate',
+            caption: 'Caption',
+            description: 'Tab header text',
+            required: true,
+          },
+          {
+            key: 'content',
+            type: 'widgets',
+            caption: 'Content',
+            description: 'Widgets shown when the tab is active',
+          },
+        ],
       },
       {
         key: 'defaultTab',
@@ -393,12 +409,28 @@ export const TEMPLATES = {
         defaultValue: 'md',
       },
     ],
+    systemProperties: ['Label', 'Name', 'TabIndex', 'Editability', 'Visibility'],
     events: [
       { key: 'onChange', caption: 'On Change', description: 'Triggered when rating changes' },
     ],
   },
 };
 
+// Templates that make sense in a native mobile app as well get a `-native` variant with the
+// same properties; the name differs so both versions can live in one Mendix project
+const NATIVE_VARIANTS = ['status-badge', 'data-card', 'progress-bar', 'icon-button', 'countdown'];
+
+for (const key of NATIVE_VARIANTS) {
+  const template = TEMPLATES[key];
+  TEMPLATES[`${key}-native`] = {
+    ...template,
+    name: `${template.name}Native`,
+    displayName: `${template.displayName} (Native)`,
+    description: `${template.description} (React Native)`,
+    platform: 'native',
+  };
+}
+
 export function listTemplates() {
   console.log(chalk.cyan.bold('\n📦 Available Widget Templates\n'));
   console.log(chalk.gray('  Use: npx create-mendix-widget --template <name>\n'));
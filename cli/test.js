@@ -0,0 +1,9 @@
+/**
+ * Test Entry Point
+ * Runs the node:test suites in cli/__tests__ (`npm test`).
+ */
+
+import './__tests__/hostile-characters.test.js';
+import './__tests__/merge.test.js';
+import './__tests__/validator.test.js';
+import './__tests__/xml.test.js';
@@ -0,0 +1,174 @@
+/**
+ * Update Mode
+ * Applies a freshly generated file plan to an existing widget folder. Generator-owned files
+ * are replaced; files users edit are three-way merged against the baseline stored in .cmw/.
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { mergeThreeWay } from './merge.js';
+
+export const BASELINE_DIR = path.join('.cmw', 'baseline');
+export const BACKUP_DIR = path.join('.cmw', 'backup');
+
+const CONFLICT_MARKER = /^<{7} /m;
+
+/**
+ * Records the generated content of every planned file as the baseline for future updates.
+ * Files listed in `skip` keep their previous baseline (used for files that were not updated).
+ */
+export async function writeBaseline(plan, dir, skip = []) {
+  for (const { path: file, content } of plan.entries()) {
+    if (!skip.includes(file)) {
+      await fs.outputFile(path.join(dir, BASELINE_DIR, file), content);
+    }
+  }
+}
+
+/**
+ * Writes a plan into an existing widget folder without clobbering hand-written code.
+ * Conflicting regions are written into the file between git-style markers, and the previous
+ * version is kept in .cmw/backup/. Files that still contain markers are skipped.
+ * Binary files (icons) cannot be merged: they are replaced while untouched since the baseline,
+ * otherwise your version is kept.
+ * @param {string[]} owned - Plan paths the generator owns outright (widget XML, typings,
+ *   package.xml)
+ * @returns {Promise<Object>} Lists of paths: replaced, created, merged, unchanged, adopted, kept,
+ *   unresolved, plus conflicts as `{ file, count, backup }`
+ */
+export async function applyUpdate(plan, dir, owned) {
+  const result = {
+    replaced: [],
+    created: [],
+    merged: [],
+    unchanged: [],
+    adopted: [],
+    kept: [],
+    unresolved: [],
+    conflicts: [],
+  };
+
+  for (const { path: file, content: generated } of plan.entries()) {
+    const target = path.join(dir, file);
+    const baselineFile = path.join(dir, BASELINE_DIR, file);
+
+    if (!(await fs.pathExists(target))) {
+      await fs.outputFile(target, generated);
+      result.created.push(file);
+      continue;
+    }
+
+    if (Buffer.isBuffer(generated)) {
+      await updateBinary(file, target, baselineFile, generated, result);
+      continue;
+    }
+
+    const current = await fs.readFile(target, 'utf8');
+    if (owned.includes(file)) {
+      if (current === generated) {
+        result.unchanged.push(file);
+      } else {
+        await fs.writeFile(target, generated);
+        result.replaced.push(file);
+      }
+      continue;
+    }
+
+    if (CONFLICT_MARKER.test(current)) {
+      result.unresolved.push(file);
+      continue;
+    }
+
+    if (!(await fs.pathExists(baselineFile))) {
+      // Folders generated before baselines existed: keep the user's file and start tracking it
+      (current === generated ? result.unchanged : result.adopted).push(file);
+      continue;
+    }
+
+    const baseline = await fs.readFile(baselineFile, 'utf8');
+    if (baseline === generated || current === generated) {
+      result.unchanged.push(file);
+      continue;
+    }
+    if (current === baseline) {
+      await fs.writeFile(target, generated);
+      result.replaced.push(file);
+      continue;
+    }
+
+    const merge = mergeThreeWay(baseline, current, generated, {
+      ours: `${file} (yours)`,
+      theirs: `${file} (generated)`,
+    });
+    if (merge.conflicts === 0) {
+      result.merged.push(file);
+    } else {
+      const backup = path.join(BACKUP_DIR, file);
+      await fs.outputFile(path.join(dir, backup), current);
+      result.conflicts.push({ file, count: merge.conflicts, backup });
+    }
+    await fs.writeFile(target, merge.content);
+  }
+
+  // Resolving a conflict means accepting this generation, so only skipped files keep the old
+  // baseline
+  await writeBaseline(plan, dir, result.unresolved);
+  return result;
+}
+
+async function updateBinary(file, target, baselineFile, generated, result) {
+  const current = await fs.readFile(target);
+  if (current.equals(generated)) {
+    result.unchanged.push(file);
+    return;
+  }
+  const baseline = (await fs.pathExists(baselineFile)) ? await fs.readFile(baselineFile) : null;
+  if (baseline?.equals(current)) {
+    await fs.writeFile(target, generated);
+    result.replaced.push(file);
+  } else {
+    result.kept.push(file);
+  }
+}
+
+/** Prints what an update changed and which files need conflicts resolved */
+export function printUpdateReport(result) {
+  const rows = [
+    ['replaced', '♻️ ', 'Regenerated', chalk.white],
+    ['created', '✨', 'Created', chalk.white],
+    ['merged', '🔀', 'Merged with your edits', chalk.green],
+    ['adopted', '📌', 'Kept as is (no baseline yet, tracked from now on)', chalk.yellow],
+    ['kept', '📌', 'Kept your version (binary, cannot be merged)', chalk.yellow],
+  ];
+
+  console.log('');
+  for (const [key, icon, label, color] of rows) {
+    for (const file of result[key]) {
+      console.log(color(`  ${icon} ${label}: ${file}`));
+    }
+  }
+  if (result.unchanged.length > 0) {
+    console.log(chalk.gray(`  ✔  Unchanged: ${result.unchanged.length} file(s)`));
+  }
+
+  if (result.conflicts.length > 0) {
+    console.log(chalk.red.bold(`\n  ❌ ${result.conflicts.length} file(s) have merge conflicts:`));
+    for (const { file, count, backup } of result.conflicts) {
+      console.log(chalk.red(`     • ${file}: ${count} conflict(s), your version is in ${backup}`));
+    }
+    console.log(
+      chalk.yellow('\n  Resolve the <<<<<<< / ======= / >>>>>>> markers by hand before building.')
+    );
+  }
+
+  if (result.unresolved.length > 0) {
+    console.log(chalk.red.bold('\n  ❌ Skipped files that still contain conflict markers:'));
+    for (const file of result.unresolved) {
+      console.log(chalk.red(`     • ${file}`));
+    }
+    console.log(chalk.yellow('\n  Resolve them and run --update again to pick up the changes.'));
+  }
+}
+
+export default { applyUpdate, writeBaseline, printUpdateReport, BASELINE_DIR, BACKUP_DIR };
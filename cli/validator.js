@@ -0,0 +1,511 @@
+/**
+ * Widget Config Validator
+ * Checks configs against widget-config-schema.json plus the cross-field rules
+ * the schema cannot express, and reports readable, path-qualified errors.
+ * Suite configs are checked per entry of `widgets`, like a config of their own.
+ */
+
+import { createRequire } from 'module';
+import { LANGUAGE_CODE } from './i18n.js';
+
+const require = createRequire(import.meta.url);
+const schema = require('../widget-config-schema.json');
+
+// Readable explanations for the key patterns used in the schema
+const PATTERN_MESSAGES = {
+  '^[A-Z][a-zA-Z0-9]+$': 'must be PascalCase (e.g. StatusBadge)',
+  '^[a-z][a-zA-Z0-9]*$': 'must be camelCase (e.g. labelText)',
+  '^on[A-Z][a-zA-Z]*$': "must start with 'on' followed by a capital letter (e.g. onClick)",
+  '\\.png$': 'must be a .png file',
+};
+
+// Keys every ContainerProps interface already defines
+const RESERVED_KEYS = ['name', 'class', 'style', 'tabIndex'];
+
+// Locals and imports the generated components declare next to the destructured props
+const GENERATED_NAMES = [
+  'action',
+  'classNames',
+  'createElement',
+  'index',
+  'isLoading',
+  'item',
+  'loadable',
+  'mergeNativeStyles',
+  'rootClass',
+  'selected',
+  'styles',
+  'useCallback',
+];
+
+// Property types that can be linked to a datasource through `dataSource`
+const LINKABLE_TYPES = [
+  'action',
+  'attribute',
+  'association',
+  'expression',
+  'selection',
+  'textTemplate',
+  'widgets',
+];
+
+// Fields of a suite config that describe the package rather than one of its widgets
+const PACKAGE_FIELDS = [
+  'name',
+  'displayName',
+  'description',
+  'company',
+  'author',
+  'version',
+  'platform',
+  'widgets',
+];
+
+// Package fields the widgets of a suite share and cannot set for themselves
+const SHARED_FIELDS = ['company', 'author', 'version', 'platform'];
+
+// Property types a visibleWhen / requiredWhen rule can compare, with the value type they hold
+const CONDITION_TYPES = {
+  boolean: 'boolean',
+  enumeration: 'string',
+  string: 'string',
+  integer: 'number',
+  decimal: 'number',
+};
+
+/**
+ * Validates a widget config (flat or with a nested `widget` block), or a suite config with a
+ * `widgets` list.
+ * @returns {string[]} Errors such as `properties[3].key must be camelCase (e.g. labelText)`
+ *   or `widgets[1].events[0].key ...`
+ */
+export function validateConfig(config) {
+  if (!isObject(config)) {
+    return ['config must be a JSON object'];
+  }
+
+  // Nested configs keep name, description, etc. under `widget`
+  const { widget, ...rest } = config;
+  const nested = isObject(widget);
+  const flat = nested ? { ...rest, ...widget } : config;
+  const qualify = (error) =>
+    nested && !(error.match(/^[^ .[]+/)[0] in rest) ? `widget.${error}` : error;
+
+  return [
+    ...validateSchema(flat, schema, ''),
+    ...(Array.isArray(flat.widgets) ? validateSuite(flat) : validateCrossFields(flat)),
+  ].map(qualify);
+}
+
+// Widget fields belong to the entries of `widgets`, package fields to the suite itself
+function validateSuite(config) {
+  const errors = [];
+  if (config.widgets.length === 0) {
+    errors.push('widgets needs at least one widget');
+  }
+  for (const key of Object.keys(config)) {
+    if (key in schema.properties && !PACKAGE_FIELDS.includes(key)) {
+      errors.push(`${key} belongs to a widget of the suite; move it into the entries of widgets`);
+    }
+  }
+  // build:native cannot load the rollup.config.mjs that bundles the other widgets
+  if (config.platform !== undefined && config.platform !== 'web') {
+    errors.push(
+      `platform "${config.platform}" is not supported; widget suites are built for web only`
+    );
+  }
+
+  const names = new Map();
+  config.widgets.forEach((entry, index) => {
+    const path = `widgets[${index}]`;
+    if (!isObject(entry)) {
+      return;
+    }
+    const widget = isObject(entry.widget) ? { ...entry, ...entry.widget } : entry;
+    if (widget.widgets !== undefined) {
+      errors.push(`${path}.widgets is not supported; suites cannot be nested`);
+      return;
+    }
+    for (const key of SHARED_FIELDS.filter((field) => widget[field] !== undefined)) {
+      errors.push(`${path}.${key} applies to the whole package; set it next to widgets`);
+    }
+    errors.push(...validateConfig(entry).map((error) => `${path}.${error}`));
+
+    if (typeof widget.name === 'string') {
+      if (names.has(widget.name)) {
+        errors.push(`${path}.name "${widget.name}" duplicates ${names.get(widget.name)}.name`);
+      } else {
+        names.set(widget.name, path);
+      }
+    }
+  });
+  return errors;
+}
+
+function validateSchema(value, node, where) {
+  const label = where || 'config';
+
+  if (node.$ref) {
+    return validateSchema(value, resolveRef(node.$ref), where);
+  }
+  if (node.oneOf) {
+    const matches = node.oneOf.filter(
+      (option) => validateSchema(value, option, where).length === 0
+    );
+    return matches.length === 1
+      ? []
+      : [
+          `${label} must be ${node.oneOf
+            .map((option) => withArticle(describeType(option)))
+            .join(' or ')}`,
+        ];
+  }
+  if (node.type && !matchesType(value, node.type)) {
+    return [`${label} must be ${withArticle(node.type)}`];
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    return [`${label} must be one of: ${node.enum.join(', ')} (got "${value}")`];
+  }
+  if (node.pattern && typeof value === 'string' && !new RegExp(node.pattern).test(value)) {
+    return [`${label} ${PATTERN_MESSAGES[node.pattern] || `must match ${node.pattern}`}`];
+  }
+
+  const errors = [];
+  if (isObject(value)) {
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${join(where, key)} is required`);
+      }
+    }
+    if (node.if) {
+      const branch = validateSchema(value, node.if, where).length === 0 ? node.then : node.else;
+      if (branch) {
+        errors.push(...validateSchema(value, branch, where));
+      }
+    }
+    for (const [key, child] of Object.entries(node.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], child, join(where, key)));
+      }
+    }
+  }
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, node.items, `${where}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Rules spanning several fields: unique keys, datasource links, event/property clashes,
+ * references from onChange / selectableObjects, visibleWhen / requiredWhen rules and
+ * translation maps.
+ */
+function validateCrossFields(config) {
+  const errors = [];
+  const properties = Array.isArray(config.properties) ? config.properties : [];
+  const events = Array.isArray(config.events) ? config.events : [];
+
+  const entries = [
+    ...properties.map((item, index) => ({ item, path: `properties[${index}]` })),
+    ...events.map((item, index) => ({ item, path: `events[${index}]`, isEvent: true })),
+  ].filter(({ item }) => isObject(item) && typeof item.key === 'string');
+
+  const datasources = new Set(
+    properties.filter((p) => isObject(p) && p.type === 'datasource').map((p) => p.key)
+  );
+  const actions = new Set(
+    entries
+      .filter(({ item, isEvent }) => isEvent || item.type === 'action')
+      .map(({ item }) => item.key)
+  );
+
+  const propertiesByKey = new Map(
+    properties.filter((p) => isObject(p) && typeof p.key === 'string').map((p) => [p.key, p])
+  );
+
+  // Actions, events and native file properties get a handle{Key} function in the component
+  const handlers = new Map();
+  for (const { item, path, isEvent } of entries) {
+    const handler = handlerName(item, isEvent);
+    if (!handler) {
+      continue;
+    }
+    if (handlers.has(handler)) {
+      errors.push(
+        `${path}.key "${item.key}" gets the same handler ${handler} as ${handlers.get(handler)}`
+      );
+    } else {
+      handlers.set(handler, path);
+    }
+  }
+
+  const seen = new Map();
+  for (const { item, path, isEvent } of entries) {
+    const first = seen.get(item.key);
+    if (first) {
+      errors.push(
+        isEvent && !first.isEvent
+          ? `${path}.key "${item.key}" clashes with property key at ${first.path}`
+          : `${path}.key "${item.key}" duplicates the key at ${first.path}`
+      );
+    } else {
+      seen.set(item.key, { path, isEvent });
+    }
+    if (handlers.has(item.key)) {
+      errors.push(
+        `${path}.key "${item.key}" clashes with the handler generated for ${handlers.get(item.key)}`
+      );
+    }
+
+    errors.push(...validateReferences(item, path, { isEvent, datasources, actions }));
+    errors.push(...validateConditions(item, path, propertiesByKey));
+    errors.push(...validateTexts(item, path));
+  }
+
+  return errors;
+}
+
+// Mirrors the handler names the generator gives actions, events and native file properties
+function handlerName(item, isEvent) {
+  const pascal = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+  if (isEvent || item.type === 'action') {
+    return `handle${pascal(item.key.replace(/^on(?=[A-Z])/, ''))}`;
+  }
+  return item.type === 'file' ? `handleOpen${pascal(item.key)}` : null;
+}
+
+// visibleWhen / requiredWhen must compare a comparable property with a value it can hold
+function validateConditions(item, path, propertiesByKey) {
+  const errors = [];
+  for (const field of ['visibleWhen', 'requiredWhen']) {
+    const rule = item[field];
+    if (!isObject(rule) || typeof rule.key !== 'string') {
+      continue;
+    }
+    const at = join(path, field);
+    const target = propertiesByKey.get(rule.key);
+    if (rule.key === item.key) {
+      errors.push(`${at}.key cannot refer to the property itself`);
+    } else if (!target) {
+      errors.push(`${at}.key "${rule.key}" does not match any property`);
+    } else if (!CONDITION_TYPES[target.type]) {
+      errors.push(
+        `${at}.key "${rule.key}" is a ${target.type} property; rules can only compare ` +
+          `${Object.keys(CONDITION_TYPES).join(', ')} properties`
+      );
+    } else if (target.type === 'enumeration') {
+      const keys = (target.options || target.enumValues || []).map((o) =>
+        typeof o === 'string' ? o : o?.key
+      );
+      if (!keys.includes(rule.equals)) {
+        errors.push(`${at}.equals must be one of the options of "${rule.key}": ${keys.join(', ')}`);
+      }
+    } else if (rule.equals !== undefined && typeof rule.equals !== CONDITION_TYPES[target.type]) {
+      errors.push(
+        `${at}.equals must be ${withArticle(CONDITION_TYPES[target.type])} to compare with ` +
+          `${target.type} property "${rule.key}"`
+      );
+    }
+  }
+
+  if (item.requiredWhen !== undefined) {
+    if (item.required === true) {
+      errors.push(`${join(path, 'requiredWhen')} cannot be combined with required: true`);
+    } else if (['boolean', 'enumeration'].includes(item.type)) {
+      errors.push(
+        `${join(path, 'requiredWhen')} is not supported for ${item.type} properties, ` +
+          'which always have a value'
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a single property or event that is added to an existing widget.
+ * @param {Object[]} existing - `{ key, type }` of every property and event the widget already has
+ * @returns {string[]} Errors such as `key must be camelCase (e.g. labelText)`
+ */
+export function validateProperty(prop, { isEvent = false, existing = [] } = {}) {
+  const node = isEvent ? schema.properties.events.items : schema.definitions.property;
+  const errors = validateSchema(prop, node, '');
+  if (errors.length > 0 || !isObject(prop)) {
+    return errors;
+  }
+
+  if (existing.some((p) => p.key === prop.key)) {
+    errors.push(`key "${prop.key}" is already used by another property or event`);
+  }
+  const handler = existing.find((p) => handlerName(p, false) === prop.key);
+  if (handler) {
+    errors.push(`key "${prop.key}" clashes with the handler generated for "${handler.key}"`);
+  }
+  const datasources = new Set(existing.filter((p) => p.type === 'datasource').map((p) => p.key));
+  const actions = new Set(existing.filter((p) => p.type === 'action').map((p) => p.key));
+  return [
+    ...errors,
+    ...validateReferences(prop, '', { isEvent, datasources, actions }),
+    ...validateTexts(prop, ''),
+  ];
+}
+
+// Translation maps need language codes as keys and a string per language
+function validateTexts(item, path) {
+  const errors = [];
+  const check = (value, at) => {
+    if (!isObject(value)) {
+      return;
+    }
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      errors.push(`${at} needs at least one translation, such as { "en_US": "..." }`);
+    }
+    for (const [language, text] of entries) {
+      if (!LANGUAGE_CODE.test(language)) {
+        errors.push(`${at} "${language}" is not a language code such as en_US or nl_NL`);
+      } else if (typeof text !== 'string') {
+        errors.push(`${at}.${language} must be a string`);
+      }
+    }
+  };
+
+  check(item.caption, join(path, 'caption'));
+  check(item.description, join(path, 'description'));
+  ['options', 'enumValues'].forEach((list) => {
+    if (Array.isArray(item[list])) {
+      item[list].forEach((o, index) => check(o?.caption, `${join(path, list)}[${index}].caption`));
+    }
+  });
+  if (isObject(item.defaultValue)) {
+    if (['string', 'textTemplate'].includes(item.type)) {
+      check(item.defaultValue, join(path, 'defaultValue'));
+    } else {
+      errors.push(
+        `${join(
+          path,
+          'defaultValue'
+        )} can only be translated for string and textTemplate properties`
+      );
+    }
+  }
+  if (item.type === 'object' && Array.isArray(item.properties)) {
+    item.properties.forEach((child, index) => {
+      if (isObject(child)) {
+        errors.push(...validateTexts(child, `${join(path, 'properties')}[${index}]`));
+      }
+    });
+  }
+  return errors;
+}
+
+// Checks that keys are not reserved and that references point at existing properties
+function validateReferences(item, path, { isEvent, datasources, actions }) {
+  const errors = [];
+  const at = (field) => join(path, field);
+
+  if (RESERVED_KEYS.includes(item.key)) {
+    errors.push(`${at('key')} "${item.key}" is reserved by Mendix (${RESERVED_KEYS.join(', ')})`);
+  }
+  if (GENERATED_NAMES.includes(item.key)) {
+    errors.push(`${at('key')} "${item.key}" is a name the generated component uses itself`);
+  }
+
+  if (item.dataSource !== undefined) {
+    if (!isEvent && !LINKABLE_TYPES.includes(item.type)) {
+      errors.push(`${at('dataSource')} is not supported for ${item.type} properties`);
+    } else if (!datasources.has(item.dataSource)) {
+      errors.push(
+        `${at('dataSource')} "${item.dataSource}" does not match any datasource property` +
+          (datasources.size > 0 ? ` (available: ${[...datasources].join(', ')})` : '')
+      );
+    }
+  }
+  if (item.type === 'selection' && item.dataSource === undefined) {
+    errors.push(`${at('dataSource')} is required for selection properties`);
+  }
+  if (item.onChange !== undefined && !actions.has(item.onChange)) {
+    errors.push(`${at('onChange')} "${item.onChange}" does not match any action property or event`);
+  }
+  if (item.selectableObjects !== undefined && !datasources.has(item.selectableObjects)) {
+    errors.push(
+      `${at('selectableObjects')} "${
+        item.selectableObjects
+      }" does not match any datasource property`
+    );
+  }
+  if (item.type === 'object') {
+    errors.push(...validateObjectProperties(item, path));
+  }
+  return errors;
+}
+
+function validateObjectProperties(prop, path) {
+  const children = Array.isArray(prop.properties) ? prop.properties : [];
+  if (children.length === 0) {
+    return [`${path}.properties needs at least one nested property for object lists`];
+  }
+
+  const errors = [];
+  const seen = new Map();
+  children.forEach((child, index) => {
+    const childPath = `${path}.properties[${index}]`;
+    if (!isObject(child) || typeof child.key !== 'string') {
+      return;
+    }
+    if (seen.has(child.key)) {
+      errors.push(`${childPath}.key "${child.key}" duplicates the key at ${seen.get(child.key)}`);
+    } else {
+      seen.set(child.key, childPath);
+    }
+    for (const field of ['visibleWhen', 'requiredWhen']) {
+      if (child[field] !== undefined) {
+        errors.push(`${childPath}.${field} is not supported for nested object properties`);
+      }
+    }
+    if (child.type === 'object') {
+      errors.push(...validateObjectProperties(child, childPath));
+    }
+  });
+  return errors;
+}
+
+function resolveRef(ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, segment) => node[segment], schema);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return isObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(node) {
+  const resolved = node.$ref ? resolveRef(node.$ref) : node;
+  return resolved.type || 'value';
+}
+
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function join(where, key) {
+  return where ? `${where}.${key}` : key;
+}
+
+export default { validateConfig, validateProperty };
@@ -15,6 +15,12 @@ const CATEGORIES = [
   'Utilities',
 ];
 
+const PLATFORM_CHOICES = [
+  { name: 'web', message: 'Web', hint: 'React DOM, for web and PWA apps' },
+  { name: 'native', message: 'Native', hint: 'React Native, for native mobile apps' },
+  { name: 'both', message: 'Both', hint: 'supportedPlatform All' },
+];
+
 const PROPERTY_TYPES = [
   { name: 'string', description: 'Text input' },
   { name: 'boolean', description: 'True/false toggle' },
@@ -29,8 +35,16 @@ const PROPERTY_TYPES = [
   { name: 'widgets', description: 'Container for child widgets' },
   { name: 'image', description: 'Static or dynamic image' },
   { name: 'icon', description: 'Icon from library' },
+  { name: 'file', description: 'File document' },
+  { name: 'association', description: 'Entity association binding' },
+  { name: 'selection', description: 'Selection on a datasource' },
 ];
 
+// Enquirer calls `initial` functions with the prompt itself; earlier answers are on its state
+const earlierAnswer = (current, name) => current.state.answers[name];
+
+const toWords = (value) => value.replace(/([A-Z])/g, ' $1').trim();
+
 export function intro() {
   console.log(chalk.gray("  Let's create your widget step by step.\n"));
 }
@@ -53,13 +67,13 @@ export async function wizard(providedName) {
       type: 'input',
       name: 'displayName',
       message: 'Display name (shown in Studio Pro)',
-      initial: (prev) => prev.name.replace(/([A-Z])/g, ' $1').trim(),
+      initial: (current) => toWords(earlierAnswer(current, 'name')),
     },
     {
       type: 'input',
       name: 'description',
       message: 'Description',
-      initial: (prev) => `A custom ${prev.displayName} widget`,
+      initial: (current) => `A custom ${earlierAnswer(current, 'displayName')} widget`,
     },
     {
       type: 'select',
@@ -67,6 +81,12 @@ export async function wizard(providedName) {
       message: 'Category',
       choices: CATEGORIES,
     },
+    {
+      type: 'select',
+      name: 'platform',
+      message: 'Target platform',
+      choices: PLATFORM_CHOICES,
+    },
     {
       type: 'input',
       name: 'company',
@@ -89,7 +109,7 @@ export async function wizard(providedName) {
   });
 
   while (addMore && wantProperties) {
-    const prop = await promptProperty();
+    const prop = await promptProperty(properties);
     properties.push(prop);
 
     const { continueAdding } = await prompt({
@@ -142,6 +162,7 @@ export async function wizard(providedName) {
 
   console.log(chalk.white(`   Widget: ${basicInfo.name} (${basicInfo.displayName})`));
   console.log(chalk.white(`   Category: ${basicInfo.category} | Company: ${basicInfo.company}`));
+  console.log(chalk.white(`   Platform: ${basicInfo.platform}`));
   console.log(chalk.white(`   Properties: ${properties.length}`));
   properties.forEach((p) => console.log(chalk.gray(`      • ${p.key} (${p.type})`)));
   console.log(chalk.white(`   Events: ${events.length}`));
@@ -187,7 +208,12 @@ export async function wizard(providedName) {
   };
 }
 
-async function promptProperty() {
+/**
+ * Asks for one property. When earlier properties can drive a rule, also offers to show or
+ * require the new one only while one of them has a given value (visibleWhen / requiredWhen).
+ * @param {Object[]} [previous] - Properties added before this one
+ */
+export async function promptProperty(previous = []) {
   const typeChoices = PROPERTY_TYPES.map((t) => ({
     name: t.name,
     message: `${t.name.padEnd(15)} - ${t.description}`,
@@ -210,7 +236,7 @@ async function promptProperty() {
       type: 'input',
       name: 'caption',
       message: 'Caption (shown in Studio Pro)',
-      initial: (prev) => prev.key.replace(/([A-Z])/g, ' $1').trim(),
+      initial: (current) => toWords(earlierAnswer(current, 'key')),
     },
     {
       type: 'input',
@@ -258,23 +284,144 @@ async function promptProperty() {
     base.attributeTypes = attrTypes;
   }
 
+  if (base.type === 'association') {
+    const { assocTypes } = await prompt({
+      type: 'multiselect',
+      name: 'assocTypes',
+      message: 'Allowed association types',
+      choices: ['Reference', 'ReferenceSet'],
+      initial: ['Reference'],
+    });
+    base.associationTypes = assocTypes;
+  }
+
+  if (base.type === 'selection') {
+    const selection = await prompt([
+      {
+        type: 'input',
+        name: 'dataSource',
+        message: 'Datasource property key to select from',
+        validate: (v) => /^[a-z][a-zA-Z0-9]*$/.test(v) || 'Must be camelCase',
+      },
+      {
+        type: 'multiselect',
+        name: 'selectionTypes',
+        message: 'Allowed selection types',
+        choices: ['None', 'Single', 'Multi'],
+        initial: ['None', 'Single', 'Multi'],
+      },
+    ]);
+    Object.assign(base, selection);
+  }
+
+  Object.assign(base, await promptRules(base, previous));
+
   console.log(chalk.green(`   ✅ Added: ${base.key} (${base.type})`));
   return base;
 }
 
-async function promptEvent() {
+// Property types a rule can compare, as in the validator
+const RULE_TYPES = ['boolean', 'enumeration', 'string', 'integer', 'decimal'];
+
+async function promptRules(prop, previous) {
+  const candidates = previous.filter((p) => RULE_TYPES.includes(p.type));
+  if (candidates.length === 0) {
+    return {};
+  }
+
+  const { conditional } = await prompt({
+    type: 'confirm',
+    name: 'conditional',
+    message: 'Show or require it only when another property has a certain value?',
+    initial: false,
+  });
+  if (!conditional) {
+    return {};
+  }
+
+  const { key } = await prompt({
+    type: 'select',
+    name: 'key',
+    message: 'Depends on',
+    choices: candidates.map((p) => ({ name: p.key, message: `${p.key} (${p.caption})` })),
+  });
+  const other = candidates.find((p) => p.key === key);
+  const equals = await promptRuleValue(other);
+
+  // A required property or one that always has a value can only be hidden
+  const canRequire = !prop.required && !['boolean', 'enumeration'].includes(prop.type);
+  const { rule } = canRequire
+    ? await prompt({
+        type: 'select',
+        name: 'rule',
+        message: 'While it has that value',
+        choices: [
+          { name: 'visible', message: 'Show this property' },
+          { name: 'required', message: 'Require this property' },
+          { name: 'both', message: 'Show and require this property' },
+        ],
+      })
+    : { rule: 'visible' };
+
+  const rules = {};
+  if (rule !== 'required') {
+    rules.visibleWhen = { key, equals };
+  }
+  if (rule !== 'visible') {
+    const { message } = await prompt({
+      type: 'input',
+      name: 'message',
+      message: 'Error message when it is empty (optional)',
+      hint: 'Leave empty for "<caption> is required when <other caption> is <value>"',
+    });
+    rules.requiredWhen = { key, equals, ...(message.trim() ? { message: message.trim() } : {}) };
+  }
+  return rules;
+}
+
+async function promptRuleValue(other) {
+  if (other.type === 'boolean') {
+    const { value } = await prompt({
+      type: 'select',
+      name: 'value',
+      message: `When ${other.caption} is`,
+      choices: ['Yes', 'No'],
+    });
+    return value === 'Yes';
+  }
+  if (other.type === 'enumeration') {
+    const { value } = await prompt({
+      type: 'select',
+      name: 'value',
+      message: `When ${other.caption} is`,
+      choices: other.enumValues,
+    });
+    return value;
+  }
+
+  const numeric = other.type !== 'string';
+  const { value } = await prompt({
+    type: numeric ? 'numeral' : 'input',
+    name: 'value',
+    message: `When ${other.caption} is`,
+  });
+  return numeric ? Number(value) : value;
+}
+
+export async function promptEvent() {
   const event = await prompt([
     {
       type: 'input',
       name: 'key',
       message: 'Event key (e.g., onClick, onSelect)',
       initial: 'onClick',
+      validate: (v) => /^on[A-Z][a-zA-Z]*$/.test(v) || "Must start with 'on' (e.g., onClick)",
     },
     {
       type: 'input',
       name: 'caption',
       message: 'Caption',
-      initial: (prev) => prev.key.replace(/([A-Z])/g, ' $1').trim(),
+      initial: (current) => toWords(earlierAnswer(current, 'key')),
     },
   ]);
 
@@ -285,4 +432,4 @@ async function promptEvent() {
   return event;
 }
 
-export default { wizard, intro };
+export default { wizard, intro, promptProperty, promptEvent };
@@ -0,0 +1,153 @@
+/**
+ * Minimal XML Reader
+ * Parses widget and package XML into a plain element tree. Elements keep their source
+ * offsets so callers can patch a document in place without reformatting it.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name - Tag name, including any namespace prefix
+ * @property {Object<string, string>} attributes - Decoded attribute values
+ * @property {XmlElement[]} children - Child elements in document order
+ * @property {string} text - Decoded text content directly inside the element
+ * @property {number} start - Offset of the opening `<`
+ * @property {number} end - Offset just past the closing `>`
+ */
+
+/**
+ * Parses an XML document and returns its root element.
+ * @throws {Error} With the line number when the document is not well-formed
+ */
+export function parseXml(source) {
+  const stack = [];
+  let root = null;
+  let index = 0;
+
+  const fail = (message, at = index) => {
+    const line = source.slice(0, at).split('\n').length;
+    throw new Error(`${message} (line ${line})`);
+  };
+
+  while (index < source.length) {
+    const open = source.indexOf('<', index);
+    const text = source.slice(index, open === -1 ? source.length : open);
+    if (stack.length > 0) {
+      stack[stack.length - 1].text += decodeEntities(text);
+    } else if (text.trim()) {
+      fail('Text outside the root element');
+    }
+    if (open === -1) {
+      break;
+    }
+    index = open;
+
+    if (source.startsWith('<!--', index)) {
+      index = skipTo(source, '-->', index, fail);
+    } else if (source.startsWith('<![CDATA[', index)) {
+      const close = source.indexOf(']]>', index);
+      if (close === -1) {
+        fail('Unterminated CDATA section');
+      }
+      if (stack.length > 0) {
+        stack[stack.length - 1].text += source.slice(index + 9, close);
+      }
+      index = close + 3;
+    } else if (source.startsWith('<?', index)) {
+      index = skipTo(source, '?>', index, fail);
+    } else if (source.startsWith('<!', index)) {
+      index = skipTo(source, '>', index, fail);
+    } else if (source.startsWith('</', index)) {
+      const match = /^<\/([^\s>]+)\s*>/.exec(source.slice(index));
+      const element = stack.pop();
+      if (!match || !element || element.name !== match[1]) {
+        fail(`Unexpected closing tag ${match ? `</${match[1]}>` : ''}`.trim());
+      }
+      index += match[0].length;
+      element.end = index;
+    } else {
+      const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(
+        source.slice(index)
+      );
+      if (!match) {
+        fail('Malformed start tag');
+      }
+      const element = {
+        name: match[1],
+        attributes: parseAttributes(match[2]),
+        children: [],
+        text: '',
+        start: index,
+        end: index + match[0].length,
+      };
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(element);
+      } else if (root) {
+        fail('Document has more than one root element');
+      } else {
+        root = element;
+      }
+      if (!match[3]) {
+        stack.push(element);
+      }
+      index += match[0].length;
+    }
+  }
+
+  if (stack.length > 0) {
+    fail(`Missing closing tag for <${stack[stack.length - 1].name}>`, source.length);
+  }
+  if (!root) {
+    fail('Document has no root element', source.length);
+  }
+  return root;
+}
+
+/** Returns the first direct child with the given tag name */
+export function findChild(element, name) {
+  return element?.children.find((child) => child.name === name);
+}
+
+/** Returns all direct children with the given tag name */
+export function findChildren(element, name) {
+  return element ? element.children.filter((child) => child.name === name) : [];
+}
+
+/** Returns all descendants with the given tag name, depth first */
+export function findDescendants(element, name) {
+  return element.children.flatMap((child) => [
+    ...(child.name === name ? [child] : []),
+    ...findDescendants(child, name),
+  ]);
+}
+
+/** Decodes the predefined XML entities and numeric character references */
+export function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point =
+        code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return String.fromCodePoint(point);
+    }
+    return ENTITIES[code] ?? entity;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, , value] of source.matchAll(/([^\s=]+)\s*=\s*("|')([\s\S]*?)\2/g)) {
+    attributes[name] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+function skipTo(source, terminator, index, fail) {
+  const close = source.indexOf(terminator, index);
+  if (close === -1) {
+    fail(`Missing "${terminator}"`);
+  }
+  return close + terminator.length;
+}
+
+export default { parseXml, findChild, findChildren, findDescendants, decodeEntities };